@@ -5,6 +5,8 @@
   const KEY = 'petros_cookie_consent_v1';
   const SESSION_SHOWN = 'petros_cookie_shown_v1';
   const SESSION_DISMISS = 'petros_cookie_dismissed_v1';
+  const CONSENT_ID_KEY = 'petros_consent_id_v1';
+  const RECEIPT_QUEUE_KEY = 'petros_consent_receipts_v1';
 
   // ✅ Production: keep false.
   // Set true temporarily to force banner open for testing.
@@ -13,6 +15,144 @@
   // ✅ Optional: show console logs while testing
   const DEBUG_LOGS = false;
 
+  // Keep in step with the "Last updated" date in privacy-policy.html.
+  // Bumping it re-prompts everyone whose choice was made under the old policy.
+  const POLICY_VERSION = window.PETROS_POLICY_VERSION || '2026-01-03';
+
+  // How long a stored choice lasts before the banner asks again (days).
+  // Rejections are re-asked sooner than acceptances.
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const ACCEPT_MAX_AGE_DAYS = Number(window.PETROS_CONSENT_MAX_AGE_DAYS) || 365;
+  const REJECT_MAX_AGE_DAYS = Number(window.PETROS_CONSENT_REJECT_DAYS) || 30;
+
+  // Consent categories, in the order they appear in the preferences modal.
+  // Essential is always on; everything else stays off until the visitor opts in.
+  // Labels live in STRINGS[lang].categories.
+  const CATEGORIES = [
+    { key: 'essential', locked: true },
+    { key: 'analytics' },
+    { key: 'marketing' },
+    { key: 'functional' }
+  ];
+
+  // Banner + modal copy, keyed by language. `dir` is applied to the banner and
+  // modal so a right-to-left language only needs its own entry here.
+  const STRINGS = {
+    en: {
+      dir: 'ltr',
+      bannerLabel: 'Cookie consent',
+      iconTitle: 'Privacy & cookies',
+      bannerText: '<strong>Pétros Biokinetics</strong> uses minimal cookies to keep the site working and improve experience. By clicking <strong>Accept</strong> you consent to cookies.',
+      privacyPolicy: 'Privacy Policy',
+      notNow: 'Not now',
+      manage: 'Manage',
+      manageLabel: 'Manage cookies',
+      accept: 'Accept',
+      acceptLabel: 'Accept cookies',
+      modalTitle: 'Cookie preferences',
+      modalIntro: 'We use essential cookies to make the site work. You can choose which optional cookies to allow to help us improve the website.',
+      cancel: 'Cancel',
+      save: 'Save',
+      signalText: 'Your browser sent a <strong>{signal}</strong> signal, so analytics and marketing cookies are off. You can still turn them on under <strong>Manage</strong>.',
+      ok: 'OK',
+      okLabel: 'Dismiss notice',
+      categories: {
+        essential: { label: 'Essential cookies', desc: 'Always on. Needed for basic site functionality.' },
+        analytics: { label: 'Analytics cookies', desc: 'Helps us understand visits and improve pages.' },
+        marketing: { label: 'Marketing cookies', desc: 'Lets Google Tag Manager measure campaigns and ads.' },
+        functional: { label: 'Embedded media', desc: 'Maps, videos and other third-party content.' }
+      }
+    },
+    af: {
+      dir: 'ltr',
+      bannerLabel: 'Koekie-toestemming',
+      iconTitle: 'Privaatheid en koekies',
+      bannerText: '<strong>Pétros Biokinetics</strong> gebruik minimale koekies om die webwerf te laat werk en jou ervaring te verbeter. Deur op <strong>Aanvaar</strong> te klik, stem jy in tot koekies.',
+      privacyPolicy: 'Privaatheidsbeleid',
+      notNow: 'Nie nou nie',
+      manage: 'Bestuur',
+      manageLabel: 'Bestuur koekies',
+      accept: 'Aanvaar',
+      acceptLabel: 'Aanvaar koekies',
+      modalTitle: 'Koekie-voorkeure',
+      modalIntro: 'Ons gebruik noodsaaklike koekies om die webwerf te laat werk. Jy kan kies watter opsionele koekies jy toelaat om ons te help om die webwerf te verbeter.',
+      cancel: 'Kanselleer',
+      save: 'Stoor',
+      signalText: 'Jou blaaier het ’n <strong>{signal}</strong>-sein gestuur, daarom is analitiese en bemarkingskoekies af. Jy kan hulle steeds onder <strong>Bestuur</strong> aanskakel.',
+      ok: 'Reg so',
+      okLabel: 'Sluit kennisgewing',
+      categories: {
+        essential: { label: 'Noodsaaklike koekies', desc: 'Altyd aan. Nodig vir die basiese werking van die webwerf.' },
+        analytics: { label: 'Analitiese koekies', desc: 'Help ons om besoeke te verstaan en bladsye te verbeter.' },
+        marketing: { label: 'Bemarkingskoekies', desc: 'Laat Google Tag Manager toe om veldtogte en advertensies te meet.' },
+        functional: { label: 'Ingebedde media', desc: 'Kaarte, video\'s en ander inhoud van derde partye.' }
+      }
+    },
+    de: {
+      dir: 'ltr',
+      bannerLabel: 'Cookie-Einwilligung',
+      iconTitle: 'Datenschutz & Cookies',
+      bannerText: '<strong>Pétros Biokinetics</strong> verwendet nur wenige Cookies, damit die Website funktioniert und Ihr Besuch angenehmer wird. Mit einem Klick auf <strong>Akzeptieren</strong> stimmen Sie der Verwendung von Cookies zu.',
+      privacyPolicy: 'Datenschutzerklärung',
+      notNow: 'Nicht jetzt',
+      manage: 'Verwalten',
+      manageLabel: 'Cookies verwalten',
+      accept: 'Akzeptieren',
+      acceptLabel: 'Cookies akzeptieren',
+      modalTitle: 'Cookie-Einstellungen',
+      modalIntro: 'Wir verwenden notwendige Cookies, damit die Website funktioniert. Sie können wählen, welche optionalen Cookies Sie zulassen, um uns bei der Verbesserung der Website zu helfen.',
+      cancel: 'Abbrechen',
+      save: 'Speichern',
+      signalText: 'Ihr Browser hat ein <strong>{signal}</strong>-Signal gesendet, daher sind Analyse- und Marketing-Cookies deaktiviert. Unter <strong>Verwalten</strong> können Sie sie trotzdem aktivieren.',
+      ok: 'OK',
+      okLabel: 'Hinweis schließen',
+      categories: {
+        essential: { label: 'Notwendige Cookies', desc: 'Immer aktiv. Für die Grundfunktionen der Website erforderlich.' },
+        analytics: { label: 'Analyse-Cookies', desc: 'Helfen uns, Besuche zu verstehen und Seiten zu verbessern.' },
+        marketing: { label: 'Marketing-Cookies', desc: 'Ermöglichen Google Tag Manager, Kampagnen und Anzeigen zu messen.' },
+        functional: { label: 'Eingebettete Medien', desc: 'Karten, Videos und andere Inhalte von Drittanbietern.' }
+      }
+    }
+  };
+
+  // Language: window.PETROS_CONSENT_LANG, then the browser's preferred
+  // languages, then <html lang>, falling back to English.
+  function pickLanguage() {
+    const candidates = [window.PETROS_CONSENT_LANG]
+      .concat(navigator.languages || [navigator.language])
+      .concat(document.documentElement.getAttribute('lang'));
+
+    for (let i = 0; i < candidates.length; i++) {
+      if (!candidates[i]) continue;
+      const code = String(candidates[i]).toLowerCase();
+      if (STRINGS[code]) return code;
+      const primary = code.split('-')[0];
+      if (STRINGS[primary]) return primary;
+    }
+    return 'en';
+  }
+
+  const LANG = pickLanguage();
+  const T = STRINGS[LANG];
+
+  // Browser privacy signals. With no stored choice, a signal is stored as a
+  // rejection of every optional category (flagged with the signal), so it is
+  // re-asked on the rejection schedule; the visitor can still opt in via Manage.
+  //   'all' — honour Global Privacy Control and Do Not Track (default)
+  //   'gpc' — honour Global Privacy Control only
+  //   'off' — ignore both
+  const PRIVACY_SIGNAL_POLICY = window.PETROS_PRIVACY_SIGNAL_POLICY || 'all';
+
+  // Category each analytics provider needs before it may load.
+  // Plausible is cookieless, so by default it only needs essential.
+  // Override per site, e.g. window.PETROS_CONSENT_PROVIDERS = { plausible: 'analytics' }
+  const PROVIDER_CATEGORIES = Object.assign({
+    ga: 'analytics',
+    gtm: 'marketing',
+    plausible: 'essential',
+    matomo: 'analytics'
+  }, window.PETROS_CONSENT_PROVIDERS || {});
+
   function log(...args) {
     if (DEBUG_LOGS) console.log('[cookie]', ...args);
   }
@@ -36,8 +176,86 @@
     try { storage.setItem(key, val); return true; } catch (e) { return false; }
   }
 
-  function isAccepted() {
-    return safeGet(localStorage, KEY) === 'accepted';
+  // Consent record helpers
+  // Stored shape: { categories: { essential, analytics, ... }, timestamp, policyVersion }
+  function normaliseCategories(categories) {
+    const out = {};
+    CATEGORIES.forEach(cat => {
+      out[cat.key] = cat.locked ? true : !!(categories && categories[cat.key]);
+    });
+    return out;
+  }
+
+  function readConsent() {
+    const raw = safeGet(localStorage, KEY);
+    if (!raw) return null;
+
+    // Visitors from before categories existed have a plain string stored
+    if (raw === 'accepted' || raw === 'rejected') {
+      const all = raw === 'accepted';
+      return {
+        categories: normaliseCategories({ analytics: all, marketing: all, functional: all }),
+        timestamp: 0,
+        policyVersion: null
+      };
+    }
+
+    try {
+      const record = JSON.parse(raw);
+      if (!record || typeof record.categories !== 'object') return null;
+      record.categories = normaliseCategories(record.categories);
+      return record;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeConsent(categories, signal) {
+    const record = {
+      categories: normaliseCategories(categories),
+      timestamp: Date.now(),
+      policyVersion: POLICY_VERSION
+    };
+    if (signal) record.signal = signal;
+    safeSet(localStorage, KEY, JSON.stringify(record));
+    return record;
+  }
+
+  function isGranted(category, record) {
+    if (category === 'essential') return true;
+    return !!(record && record.categories[category]);
+  }
+
+  // "Accepted" = the visitor opted in to at least one optional category
+  function isAccepted(record) {
+    if (!record) return false;
+    return CATEGORIES.some(cat => !cat.locked && record.categories[cat.key]);
+  }
+
+  // A choice goes stale when it was made under an older policy version or has
+  // outlived its max age. Pre-versioning records (plain strings) are always stale.
+  function isStale(record) {
+    if (!record) return true;
+    if (record.policyVersion !== POLICY_VERSION) return true;
+    const maxAgeDays = isAccepted(record) ? ACCEPT_MAX_AGE_DAYS : REJECT_MAX_AGE_DAYS;
+    return Date.now() - (record.timestamp || 0) > maxAgeDays * DAY_MS;
+  }
+
+  // Active browser privacy signal under the configured policy, or null
+  function privacySignal() {
+    if (PRIVACY_SIGNAL_POLICY === 'off') return null;
+    if (navigator.globalPrivacyControl === true) return 'Global Privacy Control';
+    if (PRIVACY_SIGNAL_POLICY === 'all') {
+      const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+      if (dnt === '1' || dnt === 'yes') return 'Do Not Track';
+    }
+    return null;
+  }
+
+  // The stored choice, or null if there is none or it needs asking again
+  function currentConsent() {
+    const record = readConsent();
+    return isStale(record) ? null : record;
   }
 
   // Load external script helper
@@ -59,16 +277,30 @@
     });
   }
 
-  // Provide enableAnalytics() if site didn't define it
+  // Provide enableAnalytics() if site didn't define it.
+  // Receives the consent record and may be called again when more categories
+  // are granted, so each provider loads at most once per page view.
+  let builtInAnalytics = false;
   (function registerEnableAnalytics() {
     if (typeof window.enableAnalytics === 'function') return;
+    builtInAnalytics = true;
+
+    const loaded = {};
+
+    function allowed(provider, record) {
+      if (loaded[provider]) return false;
+      if (!isGranted(PROVIDER_CATEGORIES[provider] || 'analytics', record)) return false;
+      loaded[provider] = true;
+      return true;
+    }
 
-    window.enableAnalytics = function () {
+    window.enableAnalytics = function (record) {
       try {
-        log('enableAnalytics(): enabling providers');
+        record = record || currentConsent();
+        log('enableAnalytics(): enabling providers', record && record.categories);
 
         // Google Analytics (gtag) via window.PETROS_GA_ID (e.g. 'G-XXXXXXXX')
-        if (window.PETROS_GA_ID) {
+        if (window.PETROS_GA_ID && allowed('ga', record)) {
           window.dataLayer = window.dataLayer || [];
           function gtag() { window.dataLayer.push(arguments); }
           window.gtag = window.gtag || gtag;
@@ -82,7 +314,7 @@
         }
 
         // Google Tag Manager via window.PETROS_GTM_ID
-        if (window.PETROS_GTM_ID) {
+        if (window.PETROS_GTM_ID && allowed('gtm', record)) {
           (function (w, d, s, l, i) {
             w[l] = w[l] || [];
             w[l].push({ 'gtm.start': new Date().getTime(), event: 'gtm.js' });
@@ -95,7 +327,7 @@
         }
 
         // Plausible via window.PLAUSIBLE_DOMAIN
-        if (window.PLAUSIBLE_DOMAIN) {
+        if (window.PLAUSIBLE_DOMAIN && allowed('plausible', record)) {
           loadScript(
             'https://plausible.io/js/plausible.js',
             'petros-plausible',
@@ -104,7 +336,7 @@
         }
 
         // Matomo via window.MATOMO = { siteUrl:'https://...', siteId:'1' }
-        if (window.MATOMO && window.MATOMO.siteUrl && window.MATOMO.siteId) {
+        if (window.MATOMO && window.MATOMO.siteUrl && window.MATOMO.siteId && allowed('matomo', record)) {
           var _paq = window._paq = window._paq || [];
           _paq.push(['setTrackerUrl', window.MATOMO.siteUrl.replace(/\/?$/, '/') + 'matomo.php']);
           _paq.push(['setSiteId', window.MATOMO.siteId]);
@@ -123,14 +355,268 @@
     };
   })();
 
-  // If already accepted, auto-enable analytics once per page load
+  // Google Consent Mode v2
+  // Each page <head> sets the denied defaults inline, above the GTM / gtag
+  // snippets, so the first hits already carry them; this file only sends updates.
+  function gtagConsent() {
+    window.dataLayer = window.dataLayer || [];
+    window.dataLayer.push(arguments);
+  }
+
+  function consentModeState(record) {
+    const state = (category) => (isGranted(category, record) ? 'granted' : 'denied');
+    return {
+      ad_storage: state('marketing'),
+      ad_user_data: state('marketing'),
+      ad_personalization: state('marketing'),
+      analytics_storage: state('analytics')
+    };
+  }
+
+  // Cookies each category may have set, removed again when it is withdrawn
+  const CATEGORY_COOKIES = {
+    analytics: [/^_ga/, /^_gid$/, /^_gat/, /^_pk_/, /^mtm_/, /^MATOMO_/, /^_hj/],
+    marketing: [/^_gcl_/, /^_fbp$/, /^_fbc$/, /^_uet/, /^IDE$/],
+    functional: []
+  };
+
+  // Expire a cookie on the current host and every parent domain it could
+  // have been scoped to (e.g. www.example.com, .example.com)
+  function deleteCookie(name) {
+    const parts = location.hostname.split('.');
+    const domains = [''];
+    for (let i = 0; i < parts.length - 1; i++) {
+      domains.push('; domain=.' + parts.slice(i).join('.'));
+    }
+    domains.forEach(domain => {
+      document.cookie = name + '=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/' + domain;
+    });
+  }
+
+  function clearCategoryCookies(category) {
+    const patterns = CATEGORY_COOKIES[category];
+    if (!patterns || !patterns.length) return;
+    document.cookie.split(';').forEach(pair => {
+      const name = pair.split('=')[0].trim();
+      if (name && patterns.some(re => re.test(name))) {
+        deleteCookie(name);
+        log('Deleted cookie', name);
+      }
+    });
+  }
+
+  // Stop tags that already loaded from sending anything else this page view
+  function blockTracking() {
+    window.__PETROS_ANALYTICS_ENABLED__ = false;
+    if (window.PETROS_GA_ID) window['ga-disable-' + window.PETROS_GA_ID] = true;
+    window.dataLayer = window.dataLayer || [];
+    window.dataLayer.push = function () { return window.dataLayer.length; };
+    log('Tracking blocked for this page view');
+  }
+
+  // Hand the current consent to Consent Mode and enableAnalytics(); with no
+  // stored choice only essential (cookieless) providers are allowed
+  function applyConsent(record) {
+    if (record) gtagConsent('consent', 'update', consentModeState(record));
+
+    record = record || { categories: normaliseCategories(null) };
+    if (isGranted('analytics', record) || isGranted('marketing', record)) {
+      window.__PETROS_ANALYTICS_ENABLED__ = true;
+    }
+    // A site-defined enableAnalytics() doesn't check categories itself, so
+    // it only runs once an optional category is granted
+    if (builtInAnalytics || isAccepted(record)) {
+      try { window.enableAnalytics(record); } catch (e) { }
+    }
+  }
+
+  // Enable whatever the stored choice allows, once per page load
   (function maybeEnableAnalyticsOnLoad() {
-    if (!isAccepted()) return;
-    if (window.__PETROS_ANALYTICS_ENABLED__) return;
-    window.__PETROS_ANALYTICS_ENABLED__ = true;
-    try { window.enableAnalytics(); } catch (e) { }
+    applyConsent(currentConsent());
   })();
 
+  // Consent event bus
+  // Fires `petros:consent` on window with { reason, categories, withdrawn, signal } so
+  // page scripts can react without reading localStorage themselves.
+  const EVENT_NAME = 'petros:consent';
+
+  function consentState() {
+    const record = currentConsent();
+    return normaliseCategories(record && record.categories);
+  }
+
+  function signalOf(record) {
+    return record ? record.signal || null : privacySignal();
+  }
+
+  function emitConsent(reason, withdrawn) {
+    try {
+      window.dispatchEvent(new CustomEvent(EVENT_NAME, {
+        detail: {
+          reason,
+          categories: consentState(),
+          withdrawn: !!withdrawn,
+          // Set when a browser signal, not the visitor, decided the state
+          signal: signalOf(currentConsent())
+        }
+      }));
+    } catch (e) { }
+    log('Consent event', reason);
+  }
+
+  // Markup-driven blocking
+  //   <script type="text/plain" data-consent="analytics" src="..."></script>
+  //   (add data-type="module" etc. if the script needs a type once active)
+  //   <iframe data-consent="functional" data-consent-src="https://..."></iframe>
+  // Blocked scripts run once their category is granted; iframes load then and
+  // unload again if the category is withdrawn. Iframes default to 'functional'.
+  function activateScript(blocked) {
+    const s = document.createElement('script');
+    Array.from(blocked.attributes).forEach(attr => {
+      if (attr.name === 'type' || attr.name === 'data-type' || attr.name === 'data-consent') return;
+      s.setAttribute(attr.name, attr.value);
+    });
+    const type = blocked.getAttribute('data-type');
+    if (type) s.type = type;
+    if (!blocked.hasAttribute('src')) s.text = blocked.text;
+    // Inserted scripts with a src are async by default; keep them in markup
+    // order (a loader before its plugins) unless the tag asked for async
+    else if (!blocked.hasAttribute('async')) s.async = false;
+    s.setAttribute('data-consent-activated', blocked.getAttribute('data-consent'));
+    blocked.parentNode.replaceChild(s, blocked);
+  }
+
+  function syncConsentElements(categories) {
+    document.querySelectorAll('script[type="text/plain"][data-consent]').forEach(el => {
+      if (categories[el.getAttribute('data-consent')]) activateScript(el);
+    });
+
+    document.querySelectorAll('iframe[data-consent-src]').forEach(el => {
+      const granted = !!categories[el.getAttribute('data-consent') || 'functional'];
+      const src = el.getAttribute('data-consent-src');
+      if (granted && el.getAttribute('src') !== src) {
+        el.setAttribute('src', src);
+      } else if (!granted && el.hasAttribute('src') && el.getAttribute('src') !== 'about:blank') {
+        el.setAttribute('src', 'about:blank');
+      }
+    });
+  }
+
+  window.addEventListener(EVENT_NAME, (e) => {
+    try { syncConsentElements(e.detail.categories); } catch (err) { }
+  });
+
+  // Consent receipts
+  // When window.PETROS_CONSENT_ENDPOINT is set, every change is POSTed there as
+  // JSON. Receipts wait in a localStorage queue until the browser accepts the
+  // beacon (or the fetch fallback succeeds), and the queue is retried on the next
+  // page load or when back online. The body is sent as text/plain so cross-origin
+  // endpoints need no CORS preflight. Any endpoint that accepts a POST will do;
+  // `node tools/consent-receipt-stub.js` serves the site with a local one.
+  const RECEIPT_QUEUE_MAX = 20;
+
+  function randomId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') return window.crypto.randomUUID();
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+  }
+
+  // Random, per-browser ID so receipts can be matched up without identifying anyone
+  function consentId() {
+    let id = safeGet(localStorage, CONSENT_ID_KEY);
+    if (!id) {
+      id = randomId();
+      safeSet(localStorage, CONSENT_ID_KEY, id);
+    }
+    return id;
+  }
+
+  function readReceiptQueue() {
+    try {
+      const queue = JSON.parse(safeGet(localStorage, RECEIPT_QUEUE_KEY) || '[]');
+      return Array.isArray(queue) ? queue : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeReceiptQueue(queue) {
+    if (queue.length) {
+      safeSet(localStorage, RECEIPT_QUEUE_KEY, JSON.stringify(queue.slice(-RECEIPT_QUEUE_MAX)));
+    } else {
+      try { localStorage.removeItem(RECEIPT_QUEUE_KEY); } catch (e) { }
+    }
+  }
+
+  // true once the receipt has been handed off. A fetch that fails later puts
+  // the receipt back in the queue.
+  function sendReceipt(endpoint, receipt) {
+    const body = JSON.stringify(receipt);
+    if (navigator.sendBeacon) {
+      try {
+        if (navigator.sendBeacon(endpoint, new Blob([body], { type: 'text/plain;charset=UTF-8' }))) return true;
+      } catch (e) { }
+    }
+    if (window.fetch) {
+      const requeue = () => writeReceiptQueue(readReceiptQueue().concat(receipt));
+      fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+        body,
+        keepalive: true
+      }).then(res => { if (!res.ok) requeue(); }, requeue);
+      return true;
+    }
+    return false;
+  }
+
+  function flushReceipts() {
+    const endpoint = window.PETROS_CONSENT_ENDPOINT;
+    if (!endpoint) return;
+    const remaining = readReceiptQueue().filter(receipt => !sendReceipt(endpoint, receipt));
+    writeReceiptQueue(remaining);
+    log('Receipts pending', remaining.length);
+  }
+
+  function queueReceipt(record, reason) {
+    if (!window.PETROS_CONSENT_ENDPOINT) return;
+    const queue = readReceiptQueue();
+    queue.push({
+      consentId: consentId(),
+      reason,
+      categories: record.categories,
+      signal: record.signal,
+      policyVersion: record.policyVersion,
+      timestamp: new Date(record.timestamp).toISOString(),
+      page: location.pathname
+    });
+    writeReceiptQueue(queue);
+    flushReceipts();
+  }
+
+  window.addEventListener('online', flushReceipts);
+
+  // Store a new choice and apply it. Categories that were granted before and
+  // are now off count as a withdrawal: their cookies go and tracking stops.
+  // `signal` marks a rejection made by a browser privacy signal.
+  function saveConsent(categories, reason, signal) {
+    const previous = readConsent();
+    const record = writeConsent(categories, signal);
+
+    applyConsent(record);
+
+    let withdrawn = false;
+    CATEGORIES.forEach(cat => {
+      if (isGranted(cat.key, record)) return;
+      clearCategoryCookies(cat.key);
+      if (isGranted(cat.key, previous)) withdrawn = true;
+    });
+    if (withdrawn) blockTracking();
+
+    emitConsent(reason || 'save', withdrawn);
+    queueReceipt(record, reason || 'save');
+    return record;
+  }
+
   function removeBanner() {
     const b = document.getElementById('cookie-banner');
     if (b) {
@@ -140,63 +626,136 @@
       b.remove();
     }
   }
+  // Hide everything except the modal from assistive tech and pointer/keyboard
+  // focus. Returns a function that puts the page back as it was.
+  function makeBackgroundInert(except) {
+    const changed = [];
+    Array.from(document.body.children).forEach(el => {
+      if (el === except || el.tagName === 'SCRIPT' || el.hasAttribute('inert')) return;
+      changed.push({ el, ariaHidden: el.getAttribute('aria-hidden') });
+      el.setAttribute('inert', '');
+      el.setAttribute('aria-hidden', 'true');
+    });
+    return function restore() {
+      changed.forEach(({ el, ariaHidden }) => {
+        el.removeAttribute('inert');
+        if (ariaHidden === null) el.removeAttribute('aria-hidden');
+        else el.setAttribute('aria-hidden', ariaHidden);
+      });
+    };
+  }
+
+  const FOCUSABLE = 'button:not([disabled]), [href], [tabindex]:not([tabindex="-1"])';
+
   function openPreferencesModal() {
     // If already open, do nothing
     if (document.querySelector('.cc-modal-overlay')) return;
 
-    const current = safeGet(localStorage, KEY);
-    const analyticsOn = (current === 'accepted'); // simple model: accepted => analytics on
-
-    const overlay = document.createElement('div');
-    overlay.className = 'cc-modal-overlay';
-    overlay.innerHTML = `
-    <div class="cc-modal" role="dialog" aria-modal="true" aria-label="Cookie preferences">
-      <h3>Cookie preferences</h3>
-      <p>We use essential cookies to make the site work. You can choose whether to allow analytics cookies to help us improve the website.</p>
+    const current = readConsent();
+    const opener = document.activeElement;
 
+    const rows = CATEGORIES.map(cat => {
+      const on = isGranted(cat.key, current);
+      // Essential stays focusable so screen readers announce it as disabled
+      const lockedAttrs = cat.locked
+        ? 'aria-disabled="true" style="opacity:.6; cursor:not-allowed"'
+        : '';
+      return `
       <div class="cc-row">
         <div>
-          <strong>Essential cookies</strong>
-          <small>Always on. Needed for basic site functionality.</small>
+          <strong>${T.categories[cat.key].label}</strong>
+          <small id="cc-desc-${cat.key}">${T.categories[cat.key].desc}</small>
         </div>
-        <div class="cc-switch" role="switch" aria-checked="true" aria-label="Essential cookies" style="opacity:.6; cursor:not-allowed"></div>
-      </div>
+        <div id="cc-switch-${cat.key}" class="cc-switch" role="switch" tabindex="0" data-category="${cat.key}" ${lockedAttrs} aria-checked="${on ? 'true' : 'false'}" aria-label="${T.categories[cat.key].label}" aria-describedby="cc-desc-${cat.key}"></div>
+      </div>`;
+    }).join('');
 
-      <div class="cc-row">
-        <div>
-          <strong>Analytics cookies</strong>
-          <small>Helps us understand visits and improve pages.</small>
-        </div>
-        <div id="cc-analytics-switch" class="cc-switch" role="switch" tabindex="0" aria-checked="${analyticsOn ? 'true' : 'false'}" aria-label="Analytics cookies"></div>
-      </div>
+    const overlay = document.createElement('div');
+    overlay.className = 'cc-modal-overlay';
+    overlay.innerHTML = `
+    <div class="cc-modal" role="dialog" aria-modal="true" aria-labelledby="cc-modal-title" lang="${LANG}" dir="${T.dir}">
+      <h3 id="cc-modal-title">${T.modalTitle}</h3>
+      <p>${T.modalIntro}</p>
+${rows}
 
       <div class="cc-modal-actions">
-        <button type="button" class="cookie-btn cookie-notnow" id="cc-cancel">Cancel</button>
-        <button type="button" class="cookie-btn cookie-manage" id="cc-policy">Privacy Policy</button>
-        <button type="button" class="cookie-btn cookie-accept" id="cc-save">Save</button>
+        <button type="button" class="cookie-btn cookie-notnow" id="cc-cancel">${T.cancel}</button>
+        <button type="button" class="cookie-btn cookie-manage" id="cc-policy">${T.privacyPolicy}</button>
+        <button type="button" class="cookie-btn cookie-accept" id="cc-save">${T.save}</button>
       </div>
     </div>
   `;
 
-    function close() { overlay.remove(); }
+    const modal = overlay.querySelector('.cc-modal');
+    let restoreBackground = function () { };
+
+    function close() {
+      document.removeEventListener('keydown', onKeyDown, true);
+      document.removeEventListener('focusin', onFocusIn, true);
+      restoreBackground();
+      overlay.remove();
+      // Return focus to whatever opened the modal (Manage button, footer link).
+      // If that has gone (Save removes the banner), use the footer settings link.
+      if (opener && opener !== document.body && document.contains(opener) && typeof opener.focus === 'function') {
+        try { opener.focus(); } catch (e) { }
+      } else {
+        const fallback = document.querySelector('[data-cookie-settings]');
+        if (fallback) {
+          try { fallback.focus({ preventScroll: true }); } catch (e) { }
+        }
+      }
+    }
 
     function toggleSwitch(el) {
+      if (el.getAttribute('aria-disabled') === 'true') return;
       const isOn = el.getAttribute('aria-checked') === 'true';
       el.setAttribute('aria-checked', isOn ? 'false' : 'true');
     }
 
+    // Escape closes from anywhere; Tab / Shift+Tab wrap inside the modal
+    function onKeyDown(ev) {
+      if (ev.key === 'Escape') {
+        ev.preventDefault();
+        ev.stopPropagation();
+        close();
+        return;
+      }
+      if (ev.key !== 'Tab') return;
+
+      const focusables = Array.from(modal.querySelectorAll(FOCUSABLE));
+      if (!focusables.length) return;
+      const first = focusables[0];
+      const last = focusables[focusables.length - 1];
+
+      if (ev.shiftKey && (document.activeElement === first || !modal.contains(document.activeElement))) {
+        ev.preventDefault();
+        last.focus();
+      } else if (!ev.shiftKey && (document.activeElement === last || !modal.contains(document.activeElement))) {
+        ev.preventDefault();
+        first.focus();
+      }
+    }
+
+    // Pull focus back if it lands outside (e.g. after clicking the backdrop)
+    function onFocusIn(ev) {
+      if (modal.contains(ev.target)) return;
+      const first = modal.querySelector(FOCUSABLE);
+      if (first) first.focus();
+    }
+
     overlay.addEventListener('click', (e) => {
       if (e.target === overlay) close();
     });
 
-    const sw = overlay.querySelector('#cc-analytics-switch');
-    sw.addEventListener('click', () => toggleSwitch(sw));
-    sw.addEventListener('keydown', (ev) => {
-      if (ev.key === 'Enter' || ev.key === ' ') {
-        ev.preventDefault();
-        toggleSwitch(sw);
-      }
-      if (ev.key === 'Escape') close();
+    const switches = Array.from(overlay.querySelectorAll('.cc-switch:not([aria-disabled="true"])'));
+    switches.forEach(sw => {
+      sw.addEventListener('click', () => toggleSwitch(sw));
+      sw.addEventListener('keydown', (ev) => {
+        if (ev.key === 'Enter' || ev.key === ' ') {
+          ev.preventDefault();
+          toggleSwitch(sw);
+        }
+      });
     });
 
     overlay.querySelector('#cc-cancel').addEventListener('click', close);
@@ -205,43 +764,44 @@
     });
 
     overlay.querySelector('#cc-save').addEventListener('click', () => {
-      const analyticsEnabled = sw.getAttribute('aria-checked') === 'true';
+      const choice = {};
+      switches.forEach(sw => {
+        choice[sw.getAttribute('data-category')] = sw.getAttribute('aria-checked') === 'true';
+      });
 
-      if (analyticsEnabled) {
-        safeSet(localStorage, KEY, 'accepted');
-        if (!window.__PETROS_ANALYTICS_ENABLED__) {
-          window.__PETROS_ANALYTICS_ENABLED__ = true;
-          try { window.enableAnalytics(); } catch (e) { }
-        }
-      } else {
-        // simplest "reject": store something other than accepted
-        safeSet(localStorage, KEY, 'rejected');
-      }
+      saveConsent(choice);
 
       safeSet(sessionStorage, SESSION_DISMISS, '1');
+      removeBanner(); // hide banner after saving, before focus moves back
       close();
-      removeBanner(); // hide banner after saving
     });
 
     document.body.appendChild(overlay);
+    restoreBackground = makeBackgroundInert(overlay);
+    document.addEventListener('keydown', onKeyDown, true);
+    document.addEventListener('focusin', onFocusIn, true);
 
-    // Focus switch for accessibility
+    // Focus first optional switch for accessibility
     setTimeout(() => {
-      try { sw.focus(); } catch (e) { }
+      try { if (switches[0]) switches[0].focus(); } catch (e) { }
     }, 0);
   }
 
-  function createBanner() {
+  // `signal` switches the banner to a notice: the browser already said no,
+  // so there is nothing to accept, only Manage (to opt in) and OK
+  function createBanner(signal) {
     const div = document.createElement('div');
     div.id = 'cookie-banner';
     div.className = 'cookie-banner collapsed'; // start collapsed by default
     div.setAttribute('role', 'dialog');
     div.setAttribute('aria-live', 'polite');
-    div.setAttribute('aria-label', 'Cookie consent');
+    div.setAttribute('aria-label', T.bannerLabel);
+    div.setAttribute('lang', LANG);
+    div.setAttribute('dir', T.dir);
     div.setAttribute('aria-expanded', 'false');
 
     div.innerHTML = `
-<div class="icon" aria-hidden="true" title="Privacy & cookies">
+<div class="icon" aria-hidden="true" title="${T.iconTitle}">
   <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"
        width="22" height="22" fill="none"
        stroke="currentColor" stroke-width="1.7"
@@ -256,26 +816,28 @@
 
       <div class="cookie-content">
         <p>
-          <strong>Pétros Biokinetics</strong> uses minimal cookies to keep the site working and improve experience.
-          By clicking <strong>Accept</strong> you consent to cookies.
-          <a href="/privacy-policy.html">Privacy Policy</a>
+          ${signal ? T.signalText.replace('{signal}', signal) : T.bannerText}
+          <a href="/privacy-policy.html">${T.privacyPolicy}</a>
         </p>
       </div>
 
       <div class="actions">
-        <button class="cookie-btn cookie-notnow" type="button" aria-label="Not now">Not now</button>
-        <button class="cookie-btn cookie-manage" type="button" aria-label="Manage cookies">Manage</button>
-        <button class="cookie-btn cookie-accept" type="button" aria-label="Accept cookies">Accept</button>
+        ${signal
+        ? `<button class="cookie-btn cookie-notnow" type="button" aria-label="${T.okLabel}">${T.ok}</button>`
+        : `<button class="cookie-btn cookie-notnow" type="button" aria-label="${T.notNow}">${T.notNow}</button>`}
+        <button class="cookie-btn cookie-manage" type="button" aria-label="${T.manageLabel}">${T.manage}</button>
+        ${signal ? '' : `<button class="cookie-btn cookie-accept" type="button" aria-label="${T.acceptLabel}">${T.accept}</button>`}
       </div>
     `;
+    if (signal) div.classList.add('cc-signal');
 
     // Expand / collapse logic
     function expand() {
       if (!div.classList.contains('collapsed')) return;
       div.classList.remove('collapsed');
       div.setAttribute('aria-expanded', 'true');
-      const acceptBtn = div.querySelector('.cookie-accept');
-      if (acceptBtn) acceptBtn.focus();
+      const primaryBtn = div.querySelector('.cookie-accept') || div.querySelector('.cookie-manage');
+      if (primaryBtn) primaryBtn.focus();
     }
 
     function collapse() {
@@ -297,16 +859,13 @@
     });
 
     // Buttons
-    div.querySelector('.cookie-accept').addEventListener('click', function (e) {
+    const acceptBtn = div.querySelector('.cookie-accept');
+    if (acceptBtn) acceptBtn.addEventListener('click', function (e) {
       e.preventDefault();
-      safeSet(localStorage, KEY, 'accepted');
       safeSet(sessionStorage, SESSION_DISMISS, '1');
       removeBanner();
       // enable analytics immediately
-      if (!window.__PETROS_ANALYTICS_ENABLED__) {
-        window.__PETROS_ANALYTICS_ENABLED__ = true;
-        try { window.enableAnalytics(); } catch (err) { }
-      }
+      saveConsent({ analytics: true, marketing: true, functional: true }, 'accept');
       log('Accepted');
     });
 
@@ -356,9 +915,9 @@
   }
 
   function shouldShowBanner() {
-    // If accepted, never show (unless forced for debug)
+    // If a choice is on record and still current, don't ask (unless forced for debug)
     if (DEBUG_FORCE_SHOW) return true;
-    if (isAccepted()) return false;
+    if (currentConsent()) return false;
 
     // If already shown this session or dismissed, don't show again this session
     if (safeGet(sessionStorage, SESSION_SHOWN) === '1') return false;
@@ -383,10 +942,14 @@
     try {
       if (!shouldShowBanner()) return;
 
-      const banner = createBanner();
+      // The signal is the visitor's answer: record it, then just say so
+      const signal = privacySignal();
+      if (signal) saveConsent({}, 'signal', signal);
+      const banner = createBanner(signal);
 
-      // On mobile/tablet, always start expanded so it's readable
-      if (window.innerWidth < 768) {
+      // On mobile/tablet, always start expanded so it's readable.
+      // A privacy-signal notice stays collapsed; it asks nothing of the visitor.
+      if (window.innerWidth < 768 && !signal) {
         banner.classList.remove('collapsed');
         banner.setAttribute('aria-expanded', 'true');
       }
@@ -407,20 +970,56 @@
       avoidFloatingButtons(banner);
 
       // If expanded, focus accept
-      if (!banner.classList.contains('collapsed')) {
+      if (!banner.classList.contains('collapsed') && !signal) {
         const accept = banner.querySelector('.cookie-accept');
         if (accept) accept.focus();
       }
 
-      log('Banner shown');
+      log(signal ? 'Privacy signal notice shown: ' + signal : 'Banner shown');
     } catch (e) {
       console.error('cookie-consent init error', e);
     }
   }
 
-  if (document.readyState === 'complete' || document.readyState === 'interactive') {
+  // Public API
+  window.PetrosConsent = {
+    open: openPreferencesModal,
+    // Turn off every optional category, as if saved that way in the modal
+    withdraw: function () {
+      saveConsent({}, 'withdraw');
+    },
+    // get('analytics') -> boolean; get() -> { essential, analytics, ... }
+    get: function (category) {
+      const state = consentState();
+      return category ? !!state[category] : state;
+    },
+    // Subscribe to consent changes; returns an unsubscribe function
+    onChange: function (cb) {
+      const handler = (e) => cb(e.detail);
+      window.addEventListener(EVENT_NAME, handler);
+      return () => window.removeEventListener(EVENT_NAME, handler);
+    }
+  };
+
+  // "Cookie settings" links in the footer re-open the preferences modal
+  document.addEventListener('click', function (e) {
+    const trigger = e.target.closest && e.target.closest('[data-cookie-settings]');
+    if (!trigger) return;
+    e.preventDefault();
+    openPreferencesModal();
+  });
+
+  // Announce the stored state once the DOM is ready, so scripts further down
+  // the page have a chance to subscribe first
+  function start() {
+    emitConsent('load');
+    flushReceipts();
     init();
+  }
+
+  if (document.readyState === 'complete' || document.readyState === 'interactive') {
+    start();
   } else {
-    document.addEventListener('DOMContentLoaded', init);
+    document.addEventListener('DOMContentLoaded', start);
   }
 })();
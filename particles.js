@@ -3,10 +3,142 @@
  * Each page has a unique particle configuration matching its theme
  */
 
+// Click/tap ripples: ring speed and width in world units, life in seconds
+const RIPPLE = { slots: 4, life: 1.6, speed: 6, width: 0.8 };
+
+// Vertex shader for patterns that provide `glsl` motion (see registerPattern).
+// The pattern snippet replaces /* PATTERN */ with inputs o = rest position,
+// i = particle index, t = uTime, amp = uAmplitude, spreadY = uSpreadY and
+// writes the animated position to p. CPU-only patterns upload live positions
+// instead and the snippet is left empty.
+const PARTICLE_VERTEX_SHADER = `
+    attribute float aIndex;
+    attribute vec3 color;
+    uniform float uTime;
+    uniform float uAmplitude;
+    uniform float uSpreadY;
+    uniform vec2 uMouse;
+    uniform float uMouseInfluence;
+    uniform float uSize;
+    uniform float uScale;
+    uniform vec3 uRayOrigin;
+    uniform vec3 uRayDir;
+    uniform float uForce;
+    uniform float uForceRadius;
+    uniform float uRippleStrength;
+    uniform vec4 uRipples[${RIPPLE.slots}];
+    uniform float uClock;
+    varying vec3 vColor;
+
+    void main() {
+        vec3 o = position;
+        vec3 p = o;
+        float i = aIndex;
+        float t = uTime;
+        float amp = uAmplitude;
+        float spreadY = uSpreadY;
+
+        /* PATTERN */
+
+        // Cursor force: push away from (or pull toward) the pointer ray
+        if (uForce != 0.0) {
+            vec3 toP = p - uRayOrigin;
+            vec3 offset = toP - uRayDir * dot(toP, uRayDir);
+            float d = length(offset);
+            if (d < uForceRadius && d > 0.0001) {
+                float falloff = 1.0 - d / uForceRadius;
+                float push = max(uForce * falloff * falloff, -d * 0.9);
+                p += offset / d * push;
+            }
+        }
+
+        // Ripples: a ring expanding out from each click or tap (w = start time)
+        for (int r = 0; r < ${RIPPLE.slots}; r++) {
+            float age = uClock - uRipples[r].w;
+            if (age < 0.0 || age > ${RIPPLE.life.toFixed(2)}) continue;
+            vec3 fromCenter = p - uRipples[r].xyz;
+            float d = max(length(fromCenter), 0.0001);
+            float ring = (d - age * ${RIPPLE.speed.toFixed(2)}) / ${RIPPLE.width.toFixed(2)};
+            p += fromCenter / d * exp(-ring * ring) * uRippleStrength * (1.0 - age / ${RIPPLE.life.toFixed(2)});
+        }
+
+        // Depth parallax: nearer particles follow the pointer a little more
+        p.xy += uMouse * uMouseInfluence * p.z * 0.05;
+
+        vColor = color;
+        vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+        gl_PointSize = uSize * (uScale / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+    uniform float uOpacity;
+    varying vec3 vColor;
+
+    void main() {
+        gl_FragColor = vec4(vColor, uOpacity);
+    }
+`;
+
 class ParticleMesh {
+    /**
+     * Add a particle pattern usable as `pattern: name` in a config.
+     *   init(i, cfg)                 -> [x, y, z] rest position of particle i
+     *   update(i, t, cfg, rest, out) -> write the position at time t into `out`
+     *                                   (pre-filled with `rest`)
+     *   glsl (optional)              -> the same motion as a vertex shader snippet;
+     *                                   without it the pattern animates on the CPU
+     */
+    static registerPattern(name, pattern) {
+        if (!pattern || typeof pattern.init !== 'function' || typeof pattern.update !== 'function') {
+            console.warn(`ParticleMesh.registerPattern("${name}"): a pattern needs init() and update()`);
+            return;
+        }
+        ParticleMesh.patterns[name] = pattern;
+    }
+
+    static getPattern(name) {
+        const pattern = ParticleMesh.patterns[name];
+        if (pattern) return pattern;
+        console.warn(`ParticleMesh: unknown pattern "${name}", using "wave". Registered: ${Object.keys(ParticleMesh.patterns).join(', ')}`);
+        return ParticleMesh.patterns.wave;
+    }
+
+    static resolveEasing(easing) {
+        if (typeof easing === 'function') return easing;
+        if (ParticleMesh.easings[easing]) return ParticleMesh.easings[easing];
+        if (window.gsap && typeof easing === 'string') return gsap.parseEase(easing);
+        return ParticleMesh.easings.easeInOutCubic;
+    }
+
+    // Probed once on a scratch canvas, so a failed probe can't spoil the real one
+    static supportsWebGL() {
+        if (ParticleMesh.webglSupport === undefined) {
+            try {
+                const probe = document.createElement('canvas');
+                const gl = window.WebGLRenderingContext
+                    && (probe.getContext('webgl') || probe.getContext('experimental-webgl'));
+                ParticleMesh.webglSupport = !!gl;
+                const loseContext = gl && gl.getExtension('WEBGL_lose_context');
+                if (loseContext) loseContext.loseContext();
+            } catch (error) {
+                ParticleMesh.webglSupport = false;
+            }
+        }
+        return ParticleMesh.webglSupport;
+    }
+
     constructor(canvasId, config = {}) {
+        // One live mesh per canvas, reachable as window.petrosParticles[canvasId].
+        // Destroying the previous one swaps in a fresh <canvas>, so look it up after.
+        const previous = window.petrosParticles[canvasId];
+        if (previous) previous.destroy();
+
         this.canvas = document.getElementById(canvasId);
-        if (!this.canvas || typeof THREE === 'undefined') return;
+        if (!this.canvas) return;
+        window.petrosParticles[canvasId] = this;
+        this.canvasId = canvasId;
 
         // Mobile detection
         this.isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) 
@@ -14,6 +146,7 @@ class ParticleMesh {
         
         // Reduce particle count on mobile for performance
         const mobileMultiplier = this.isMobile ? 0.4 : 1;
+        this.mobileMultiplier = mobileMultiplier;
 
         // Default configuration
         this.config = {
@@ -22,8 +155,10 @@ class ParticleMesh {
             particleOpacity: config.particleOpacity || 0.6,
             lineOpacity: config.lineOpacity || (this.isMobile ? 0.08 : 0.15),
             connectionDistance: config.connectionDistance || 1.5,
-            primaryColor: config.primaryColor || '#7A8B69',
-            secondaryColor: config.secondaryColor || '#ffffff',
+            // Colors accept CSS custom properties (palette.css), read from the canvas and
+            // re-tinted live; the fallbacks cover pages without the palette
+            primaryColor: config.primaryColor || 'var(--petros-green, #7A8B69)',
+            secondaryColor: config.secondaryColor || 'var(--petros-white, #ffffff)',
             colorMixRatio: config.colorMixRatio || 0.5,
             waveSpeed: config.waveSpeed || 0.002,
             waveAmplitude: config.waveAmplitude || 0.3,
@@ -31,8 +166,17 @@ class ParticleMesh {
             spreadX: config.spreadX || 20,
             spreadY: config.spreadY || 10,
             spreadZ: config.spreadZ || 10,
-            pattern: config.pattern || 'wave', // wave, spiral, sphere, grid
+            pattern: config.pattern || 'wave', // Any registered pattern, see ParticleMesh.registerPattern
             mouseInfluence: config.mouseInfluence || 0.1,
+            interaction: config.interaction || 'none', // Cursor force: 'repel', 'attract', 'ripple' (click/tap) or 'none'
+            interactionRadius: config.interactionRadius || 2.5,
+            interactionStrength: config.interactionStrength || 0.6,
+            maxLines: config.maxLines || (this.isMobile ? 800 : 3000), // Line budget per frame
+            lineRefreshFrames: config.lineRefreshFrames || 4, // Frames to spread one full neighbour search over
+            adaptiveQuality: true, // Step through QUALITY_TIERS based on measured frame time
+            frameBudget: 1000 / 60, // Target frame time in ms for the quality governor
+            reducedMotion: 'static', // Under reduced-motion signals: 'static' (one frame), 'drift' (slow) or 'off'
+            poster: null, // Image URL shown instead of the 2D drawing when WebGL is unavailable
             ...config
         };
 
@@ -41,7 +185,28 @@ class ParticleMesh {
             this.config.particleCount = Math.floor(config.particleCount * mobileMultiplier);
         }
 
-        this.init();
+        // Buffers are sized to the configured counts; the quality tier only
+        // decides how much of them is drawn and searched (this.active)
+        this.quality = {
+            tier: 0,
+            goodWindows: 0,
+            upgradeAfter: 4, // On-budget windows needed before stepping up
+            probing: false
+        };
+        this.active = this.qualityCounts();
+        this.resetQualitySamples();
+        this.listeners = [];
+
+        if (typeof THREE === 'undefined' || !ParticleMesh.supportsWebGL()) {
+            this.showFallback();
+            return;
+        }
+        try {
+            this.init();
+        } catch (error) {
+            console.warn('ParticleMesh: WebGL setup failed, showing the fallback instead', error);
+            this.showFallback();
+        }
     }
 
     init() {
@@ -56,102 +221,67 @@ class ParticleMesh {
         });
         
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.isMobile ? 1.5 : 2));
+        this.renderer.setPixelRatio(this.targetPixelRatio());
+
+        this.time = 0;
+        this.mouseX = 0;
+        this.mouseY = 0;
+        this.isVisible = true;
+        this.paused = false;
+        this.destroyed = false;
+        this.contextLost = false;
+        this.motionMode = 'full';
+        this.pointer = { x: 0, y: 0, active: false }; // Canvas-relative NDC, for cursor forces
+        this.interaction = {
+            level: 0,
+            force: 0,
+            rippleStrength: 0,
+            clock: 0,
+            clockStart: performance.now(),
+            rayOrigin: new THREE.Vector3(),
+            rayDir: new THREE.Vector3(0, 0, -1),
+            inverse: new THREE.Matrix4()
+        };
+        this.ripples = Array.from({ length: RIPPLE.slots }, () => ({ x: 0, y: 0, z: 0, start: -1000 }));
+        this.nextRipple = 0;
 
         this.createParticles();
         this.createLines();
         this.setupMouseTracking();
         this.setupResizeHandler();
         this.setupVisibilityObserver();
+        this.setupMotionPreferences();
+        this.setupThemeObserver();
+        this.setupContextLossHandlers();
         
         this.camera.position.z = 5;
-        this.time = 0;
-        this.mouseX = 0;
-        this.mouseY = 0;
-        this.isVisible = true;
 
+        this.started = true;
         this.animate();
     }
 
     createParticles() {
-        const { particleCount, spreadX, spreadY, spreadZ, pattern, primaryColor, secondaryColor, colorMixRatio } = this.config;
+        const { particleCount, spreadY, pattern } = this.config;
         
-        this.positions = new Float32Array(particleCount * 3);
+        this.pattern = ParticleMesh.getPattern(pattern);
+
+        this.positions = new Float32Array(particleCount * 3); // CPU snapshot for the line search
         this.originalPositions = new Float32Array(particleCount * 3);
-        const colors = new Float32Array(particleCount * 3);
-        
-        const color1 = new THREE.Color(primaryColor);
-        const color2 = new THREE.Color(secondaryColor);
+        this.livePositions = new Float32Array(particleCount * 3); // CPU patterns and morphs
+        this.colorMix = new Float32Array(particleCount); // Random primary/secondary mix per particle
+
+        // Slot i holds the particle a pattern lays out at index particleOrder[i].
+        // Shuffled, so any leading slice (the draw range on lower tiers) is an
+        // even sample of patterns laid out in index order, like the sphere.
+        this.particleOrder = new Uint32Array(particleCount);
+        for (let i = 0; i < particleCount; i++) {
+            const j = Math.floor(Math.random() * (i + 1));
+            this.particleOrder[i] = this.particleOrder[j];
+            this.particleOrder[j] = i;
+        }
         
         for (let i = 0; i < particleCount; i++) {
-            let x, y, z;
-            
-            switch (pattern) {
-                case 'spiral':
-                    const angle = (i / particleCount) * Math.PI * 8;
-                    const radius = (i / particleCount) * 8;
-                    x = Math.cos(angle) * radius;
-                    y = (Math.random() - 0.5) * spreadY;
-                    z = Math.sin(angle) * radius - 5;
-                    break;
-                    
-                case 'sphere':
-                    const phi = Math.acos(-1 + (2 * i) / particleCount);
-                    const theta = Math.sqrt(particleCount * Math.PI) * phi;
-                    x = Math.cos(theta) * Math.sin(phi) * 5;
-                    y = Math.sin(theta) * Math.sin(phi) * 5;
-                    z = Math.cos(phi) * 5;
-                    break;
-                    
-                case 'grid':
-                    const cols = Math.ceil(Math.sqrt(particleCount));
-                    x = ((i % cols) / cols - 0.5) * spreadX;
-                    y = (Math.floor(i / cols) / cols - 0.5) * spreadY;
-                    z = (Math.random() - 0.5) * 2;
-                    break;
-                    
-                case 'flow':
-                    x = (Math.random() - 0.5) * spreadX;
-                    y = (Math.random() - 0.5) * spreadY * 0.5;
-                    z = (Math.random() - 0.5) * spreadZ * 0.5;
-                    break;
-                    
-                case 'converge':
-                    const dist = Math.random() * 10;
-                    const ang = Math.random() * Math.PI * 2;
-                    x = Math.cos(ang) * dist;
-                    y = Math.sin(ang) * dist * 0.5;
-                    z = (Math.random() - 0.5) * 5;
-                    break;
-                
-                case 'layers':
-                    // Clean horizontal layers - structured and clinical
-                    const layerCount = 5;
-                    const layer = Math.floor(Math.random() * layerCount);
-                    x = (Math.random() - 0.5) * spreadX;
-                    y = (layer / layerCount - 0.5) * spreadY + (Math.random() - 0.5) * 0.5;
-                    z = (Math.random() - 0.5) * spreadZ * 0.3;
-                    break;
-                
-                case 'drops':
-                    // Raindrop-like distribution - spread wide, falling effect
-                    x = (Math.random() - 0.5) * spreadX;
-                    y = (Math.random() - 0.5) * spreadY;
-                    z = (Math.random() - 0.5) * spreadZ * 0.4;
-                    break;
-                
-                case 'rise':
-                    // Rising particles - spread wide, gentle upward motion
-                    x = (Math.random() - 0.5) * spreadX;
-                    y = (Math.random() - 0.5) * spreadY;
-                    z = (Math.random() - 0.5) * spreadZ * 0.3;
-                    break;
-                    
-                default: // wave
-                    x = (Math.random() - 0.5) * spreadX;
-                    y = (Math.random() - 0.5) * spreadY;
-                    z = (Math.random() - 0.5) * spreadZ;
-            }
+            const [x, y, z] = this.pattern.init(this.particleOrder[i], this.config);
             
             this.positions[i * 3] = x;
             this.positions[i * 3 + 1] = y;
@@ -161,60 +291,859 @@ class ParticleMesh {
             this.originalPositions[i * 3 + 1] = y;
             this.originalPositions[i * 3 + 2] = z;
             
-            // Mix colors
-            const mixRatio = Math.random() * colorMixRatio;
-            const mixedColor = color1.clone().lerp(color2, mixRatio);
-            colors[i * 3] = mixedColor.r;
-            colors[i * 3 + 1] = mixedColor.g;
-            colors[i * 3 + 2] = mixedColor.b;
+            this.colorMix[i] = Math.random();
         }
+        this.livePositions.set(this.originalPositions);
+
+        const indices = new Float32Array(this.particleOrder);
+
+        // GPU patterns draw rest positions and the vertex shader does the
+        // motion; CPU patterns and morphs draw live positions uploaded each frame
+        this.restAttribute = new THREE.BufferAttribute(this.originalPositions, 3);
+        this.liveAttribute = new THREE.BufferAttribute(this.livePositions, 3);
+        this.liveAttribute.setUsage(THREE.DynamicDrawUsage);
 
         const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
-        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(this.fillColors(this.config, new Float32Array(particleCount * 3)), 3));
+        geometry.setAttribute('aIndex', new THREE.BufferAttribute(indices, 1));
+        geometry.setDrawRange(0, this.active.particleCount);
 
-        const material = new THREE.PointsMaterial({
-            size: this.config.particleSize,
-            vertexColors: true,
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                uTime: { value: this.time },
+                uAmplitude: { value: this.config.waveAmplitude },
+                uSpreadY: { value: spreadY },
+                uMouse: { value: new THREE.Vector2(0, 0) },
+                uMouseInfluence: { value: this.mouseInfluence() },
+                uSize: { value: this.config.particleSize },
+                uScale: { value: this.pointScale() },
+                uOpacity: { value: this.config.particleOpacity },
+                uRayOrigin: { value: new THREE.Vector3() },
+                uRayDir: { value: new THREE.Vector3(0, 0, -1) },
+                uForce: { value: 0 },
+                uForceRadius: { value: this.config.interactionRadius },
+                uRippleStrength: { value: 0 },
+                uRipples: { value: this.ripples.map((r) => new THREE.Vector4(r.x, r.y, r.z, r.start)) },
+                uClock: { value: 0 }
+            },
+            fragmentShader: PARTICLE_FRAGMENT_SHADER,
             transparent: true,
-            opacity: this.config.particleOpacity,
-            blending: THREE.AdditiveBlending,
-            sizeAttenuation: true
+            blending: THREE.AdditiveBlending
         });
 
         this.particles = new THREE.Points(geometry, material);
+        // The shader moves particles outside their rest bounds; skip frustum
+        // culling rather than guess a bounding sphere per pattern
+        this.particles.frustumCulled = false;
+        this.setMotionMode(typeof this.pattern.glsl === 'string');
         this.scene.add(this.particles);
     }
 
-    createLines() {
-        const { particleCount, connectionDistance, primaryColor, lineOpacity } = this.config;
-        
-        const lineGeometry = new THREE.BufferGeometry();
-        const linePositions = [];
-        const lineColors = [];
-        const lineColor = new THREE.Color(primaryColor);
-        
-        for (let i = 0; i < particleCount; i++) {
-            for (let j = i + 1; j < Math.min(i + 5, particleCount); j++) {
-                const x1 = this.positions[i * 3];
-                const y1 = this.positions[i * 3 + 1];
-                const z1 = this.positions[i * 3 + 2];
-                const x2 = this.positions[j * 3];
-                const y2 = this.positions[j * 3 + 1];
-                const z2 = this.positions[j * 3 + 2];
-                
-                const dist = Math.sqrt((x2-x1)**2 + (y2-y1)**2 + (z2-z1)**2);
-                
-                if (dist < connectionDistance) {
-                    linePositions.push(x1, y1, z1, x2, y2, z2);
-                    lineColors.push(lineColor.r, lineColor.g, lineColor.b);
-                    lineColors.push(lineColor.r, lineColor.g, lineColor.b);
-                }
+    // Per-particle colors for a config, keeping each particle's mix ratio
+    fillColors(config, out) {
+        const color1 = new THREE.Color(this.resolveColor(config.primaryColor));
+        const color2 = new THREE.Color(this.resolveColor(config.secondaryColor));
+        const mixed = new THREE.Color();
+        for (let i = 0; i < config.particleCount; i++) {
+            mixed.copy(color1).lerp(color2, this.colorMix[i] * config.colorMixRatio);
+            out[i * 3] = mixed.r;
+            out[i * 3 + 1] = mixed.g;
+            out[i * 3 + 2] = mixed.b;
+        }
+        return out;
+    }
+
+    // Switch between shader-driven motion (rest positions + the pattern's GLSL)
+    // and CPU-driven motion (live positions uploaded every frame)
+    setMotionMode(gpu) {
+        this.gpuMotion = gpu;
+        this.particles.geometry.setAttribute('position', gpu ? this.restAttribute : this.liveAttribute);
+        const material = this.particles.material;
+        material.vertexShader = PARTICLE_VERTEX_SHADER.replace('/* PATTERN */', gpu ? this.pattern.glsl : '');
+        material.needsUpdate = true;
+    }
+
+    // Same size attenuation factor PointsMaterial uses: half the drawing buffer height
+    pointScale() {
+        return (window.innerHeight * this.renderer.getPixelRatio()) / 2;
+    }
+
+    // Where particle i is right now, mirroring the vertex shader on the CPU.
+    // Writes into `out` (array-like, length 3) and returns it.
+    samplePosition(i, out) {
+        if (this.gpuMotion) {
+            const o = this.sampleOrigin || (this.sampleOrigin = [0, 0, 0]);
+            o[0] = out[0] = this.originalPositions[i * 3];
+            o[1] = out[1] = this.originalPositions[i * 3 + 1];
+            o[2] = out[2] = this.originalPositions[i * 3 + 2];
+            this.pattern.update(this.particleOrder[i], this.time, this.config, o, out);
+        } else {
+            out[0] = this.livePositions[i * 3];
+            out[1] = this.livePositions[i * 3 + 1];
+            out[2] = this.livePositions[i * 3 + 2];
+        }
+
+        this.applyForces(out);
+
+        const parallax = out[2] * 0.05 * this.mouseInfluence();
+        out[0] += this.mouseX * parallax;
+        out[1] += this.mouseY * parallax;
+        return out;
+    }
+
+    // CPU mirror of the cursor force and ripple section of the vertex shader
+    applyForces(p) {
+        const { force, rayOrigin: o, rayDir: dir } = this.interaction;
+        const radius = this.config.interactionRadius;
+
+        if (force !== 0) {
+            const tx = p[0] - o.x, ty = p[1] - o.y, tz = p[2] - o.z;
+            const along = tx * dir.x + ty * dir.y + tz * dir.z;
+            const ox = tx - dir.x * along, oy = ty - dir.y * along, oz = tz - dir.z * along;
+            const d = Math.sqrt(ox * ox + oy * oy + oz * oz);
+            if (d < radius && d > 0.0001) {
+                const falloff = 1 - d / radius;
+                const push = Math.max(force * falloff * falloff, -d * 0.9) / d;
+                p[0] += ox * push;
+                p[1] += oy * push;
+                p[2] += oz * push;
+            }
+        }
+
+        const clock = this.interaction.clock;
+        for (const ripple of this.ripples) {
+            const age = clock - ripple.start;
+            if (age < 0 || age > RIPPLE.life) continue;
+            const fx = p[0] - ripple.x, fy = p[1] - ripple.y, fz = p[2] - ripple.z;
+            const d = Math.max(Math.sqrt(fx * fx + fy * fy + fz * fz), 0.0001);
+            const ring = (d - age * RIPPLE.speed) / RIPPLE.width;
+            const push = Math.exp(-ring * ring) * this.interaction.rippleStrength * (1 - age / RIPPLE.life) / d;
+            p[0] += fx * push;
+            p[1] += fy * push;
+            p[2] += fz * push;
+        }
+    }
+
+    // Where the pointer ray meets the particles, in the particles' own space
+    // (they rotate, so world coordinates won't do)
+    updatePointerRay() {
+        const { rayOrigin, rayDir, inverse } = this.interaction;
+        rayOrigin.copy(this.camera.position);
+        rayDir.set(this.pointer.x, this.pointer.y, 0.5).unproject(this.camera).sub(rayOrigin).normalize();
+
+        this.particles.updateMatrixWorld();
+        inverse.copy(this.particles.matrixWorld).invert();
+        rayOrigin.applyMatrix4(inverse);
+        rayDir.transformDirection(inverse);
+    }
+
+    // Ease the cursor force in and out, and feed forces to the shader
+    updateForces() {
+        const { interaction: mode, interactionStrength } = this.config;
+        const state = this.interaction;
+        const enabled = this.motionMode === 'full';
+        const following = enabled && this.pointer.active && (mode === 'repel' || mode === 'attract');
+
+        state.level += ((following ? 1 : 0) - state.level) * 0.1;
+        if (state.level < 0.001) state.level = 0;
+        state.clock = (performance.now() - state.clockStart) / 1000;
+        if (state.level > 0) this.updatePointerRay();
+
+        state.force = (mode === 'attract' ? -1 : 1) * interactionStrength * state.level;
+        state.rippleStrength = enabled && mode === 'ripple' ? interactionStrength : 0;
+
+        const uniforms = this.particles.material.uniforms;
+        uniforms.uForce.value = state.force;
+        uniforms.uRippleStrength.value = state.rippleStrength;
+        uniforms.uRayOrigin.value.copy(state.rayOrigin);
+        uniforms.uRayDir.value.copy(state.rayDir);
+        uniforms.uClock.value = state.clock;
+        this.ripples.forEach((r, k) => uniforms.uRipples.value[k].set(r.x, r.y, r.z, r.start));
+    }
+
+    // Start a ripple where the pointer ray crosses the particles' mid-plane
+    addRipple() {
+        if (this.config.interaction !== 'ripple' || this.motionMode !== 'full') return;
+        this.updatePointerRay();
+        const { rayOrigin: o, rayDir: dir } = this.interaction;
+        // Closest point on the ray to the particle origin
+        const t = -(o.x * dir.x + o.y * dir.y + o.z * dir.z);
+        const ripple = this.ripples[this.nextRipple];
+        ripple.x = o.x + dir.x * t;
+        ripple.y = o.y + dir.y * t;
+        ripple.z = o.z + dir.z * t;
+        ripple.start = (performance.now() - this.interaction.clockStart) / 1000;
+        this.nextRipple = (this.nextRipple + 1) % RIPPLE.slots;
+    }
+
+    // Advance CPU-only patterns and flag the position buffer for upload
+    updateCpuMotion() {
+        const o = [0, 0, 0];
+        const p = [0, 0, 0];
+        const live = this.livePositions;
+        for (let i = 0; i < this.active.particleCount; i++) {
+            o[0] = p[0] = this.originalPositions[i * 3];
+            o[1] = p[1] = this.originalPositions[i * 3 + 1];
+            o[2] = p[2] = this.originalPositions[i * 3 + 2];
+            this.pattern.update(this.particleOrder[i], this.time, this.config, o, p);
+            live[i * 3] = p[0];
+            live[i * 3 + 1] = p[1];
+            live[i * 3 + 2] = p[2];
+        }
+        this.liveAttribute.needsUpdate = true;
+    }
+
+    /**
+     * Tween from the current layout to another pattern or config.
+     *   patternOrConfig - a registered pattern name, or a partial config
+     *                     (particleCount and maxLines are fixed per instance)
+     *   duration        - milliseconds, default 1500
+     *   easing          - function, a ParticleMesh.easings name or a GSAP ease
+     * Positions, colors and opacity blend between both patterns while they keep
+     * animating. Returns a promise that resolves when the morph ends or is
+     * replaced by another one.
+     */
+    morphTo(patternOrConfig, { duration = 1500, easing = 'easeInOutCubic' } = {}) {
+        if (!this.particles) return Promise.resolve();
+
+        const target = typeof patternOrConfig === 'string' ? { pattern: patternOrConfig } : patternOrConfig;
+        const config = {
+            ...this.config,
+            ...target,
+            particleCount: this.config.particleCount,
+            maxLines: this.config.maxLines
+        };
+        const pattern = ParticleMesh.getPattern(config.pattern);
+        const colors = this.particles.geometry.attributes.color.array;
+
+        const to = { pattern, config, rest: new Float32Array(this.originalPositions.length) };
+        for (let i = 0; i < config.particleCount; i++) {
+            const [x, y, z] = pattern.init(this.particleOrder[i], config);
+            to.rest[i * 3] = x;
+            to.rest[i * 3 + 1] = y;
+            to.rest[i * 3 + 2] = z;
+        }
+
+        // Interrupting a morph starts the new one from wherever particles are now
+        let from;
+        if (this.morph) {
+            from = { pattern: FROZEN_PATTERN, config: this.config, rest: this.livePositions.slice() };
+            this.morph.resolve();
+        } else {
+            from = { pattern: this.pattern, config: this.config, rest: this.originalPositions.slice() };
+        }
+
+        this.setMotionMode(false);
+
+        const done = new Promise((resolve) => {
+            this.morph = {
+                from,
+                to,
+                resolve,
+                startTime: performance.now(),
+                duration: Math.max(1, duration),
+                easing: ParticleMesh.resolveEasing(easing),
+                fromColors: colors.slice(),
+                toColors: this.fillColors(config, new Float32Array(colors.length)),
+                fromOpacity: this.particles.material.uniforms.uOpacity.value,
+                fromLineOpacity: this.lines.material.opacity,
+                fromLineColor: this.lineColor.clone(),
+                toLineColor: new THREE.Color(this.resolveColor(config.primaryColor))
+            };
+        });
+        this.renderStaticFrame();
+        return done;
+    }
+
+    // Advance the running morph one frame; both patterns keep moving underneath
+    updateMorph() {
+        const m = this.morph;
+        const progress = Math.min(1, (performance.now() - m.startTime) / m.duration);
+        const k = m.easing(progress);
+        const live = this.livePositions;
+        const colors = this.particles.geometry.attributes.color;
+        const a = [0, 0, 0];
+        const b = [0, 0, 0];
+        const o = [0, 0, 0];
+
+        const sample = (state, i, out) => {
+            o[0] = out[0] = state.rest[i * 3];
+            o[1] = out[1] = state.rest[i * 3 + 1];
+            o[2] = out[2] = state.rest[i * 3 + 2];
+            state.pattern.update(this.particleOrder[i], this.time, state.config, o, out);
+        };
+
+        for (let i = 0; i < this.active.particleCount; i++) {
+            sample(m.from, i, a);
+            sample(m.to, i, b);
+            for (let axis = 0; axis < 3; axis++) {
+                const idx = i * 3 + axis;
+                live[idx] = a[axis] + (b[axis] - a[axis]) * k;
+                colors.array[idx] = m.fromColors[idx] + (m.toColors[idx] - m.fromColors[idx]) * k;
+            }
+        }
+        this.liveAttribute.needsUpdate = true;
+        colors.needsUpdate = true;
+
+        const { particleOpacity, lineOpacity } = m.to.config;
+        this.particles.material.uniforms.uOpacity.value = m.fromOpacity + (particleOpacity - m.fromOpacity) * k;
+        this.lines.material.opacity = m.fromLineOpacity + (lineOpacity - m.fromLineOpacity) * k;
+        this.lineColor.copy(m.fromLineColor).lerp(m.toLineColor, k);
+
+        if (progress >= 1) this.finishMorph();
+    }
+
+    // Adopt the morph target as the mesh's own pattern and config
+    finishMorph() {
+        const { to, resolve } = this.morph;
+        this.morph = null;
+        this.config = to.config;
+        this.pattern = to.pattern;
+        this.originalPositions.set(to.rest);
+        this.restAttribute.needsUpdate = true;
+
+        this.applyConfig();
+        this.setMotionMode(typeof to.pattern.glsl === 'string');
+        resolve();
+    }
+
+    // Push config values that live in uniforms, materials and vertex colors
+    applyConfig() {
+        const { config } = this;
+        const uniforms = this.particles.material.uniforms;
+        uniforms.uAmplitude.value = config.waveAmplitude;
+        uniforms.uSpreadY.value = config.spreadY;
+        uniforms.uMouseInfluence.value = this.mouseInfluence();
+        uniforms.uSize.value = config.particleSize;
+        uniforms.uOpacity.value = config.particleOpacity;
+        uniforms.uForceRadius.value = config.interactionRadius;
+
+        this.lines.material.opacity = config.lineOpacity;
+        this.retint();
+    }
+
+    // 'var(--name)' or 'var(--name, fallback)' resolves against the canvas, so
+    // variables set on :root, <body> or any wrapper all apply
+    resolveColor(value) {
+        const match = /^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/.exec(String(value).trim());
+        if (!match) return value;
+        const custom = getComputedStyle(this.canvas).getPropertyValue(match[1]).trim();
+        if (custom) return custom;
+        return match[2] ? match[2].trim() : value;
+    }
+
+    // Recolor particles and lines from the current config; a running morph
+    // retargets instead and blends into the new colors
+    retint() {
+        if (this.morph) {
+            const { to } = this.morph;
+            this.fillColors(to.config, this.morph.toColors);
+            this.morph.toLineColor.set(this.resolveColor(to.config.primaryColor));
+            return;
+        }
+        const colors = this.particles.geometry.attributes.color;
+        this.fillColors(this.config, colors.array);
+        colors.needsUpdate = true;
+        this.lineColor.set(this.resolveColor(this.config.primaryColor));
+    }
+
+    // Theme switches usually flip a class, style or data-theme on <html> or
+    // <body>, or follow the OS color scheme. Stylesheet swaps can call
+    // refreshTheme() directly.
+    setupThemeObserver() {
+        this.themeColors = this.resolvedThemeColors();
+        this.themeObserver = new MutationObserver(() => this.refreshTheme());
+        const options = { attributes: true, attributeFilter: ['class', 'style', 'data-theme'] };
+        this.themeObserver.observe(document.documentElement, options);
+        if (document.body) this.themeObserver.observe(document.body, options);
+
+        if (window.matchMedia) {
+            const scheme = window.matchMedia('(prefers-color-scheme: dark)');
+            if (scheme.addEventListener) this.listen(scheme, 'change', () => this.refreshTheme());
+        }
+    }
+
+    resolvedThemeColors() {
+        const { primaryColor, secondaryColor } = this.morph ? this.morph.to.config : this.config;
+        return this.resolveColor(primaryColor) + '|' + this.resolveColor(secondaryColor);
+    }
+
+    // Re-tint if the resolved colors changed since last time
+    refreshTheme() {
+        if (!this.particles || this.destroyed) return;
+        const colors = this.resolvedThemeColors();
+        if (colors === this.themeColors) return;
+        this.themeColors = colors;
+        this.retint();
+        this.renderStaticFrame();
+    }
+
+    // Re-seed rest positions from the current pattern and config
+    layoutParticles() {
+        this.pattern = ParticleMesh.getPattern(this.config.pattern);
+        for (let i = 0; i < this.config.particleCount; i++) {
+            const [x, y, z] = this.pattern.init(this.particleOrder[i], this.config);
+            this.originalPositions[i * 3] = x;
+            this.originalPositions[i * 3 + 1] = y;
+            this.originalPositions[i * 3 + 2] = z;
+        }
+        this.livePositions.set(this.originalPositions);
+        this.restAttribute.needsUpdate = true;
+        this.liveAttribute.needsUpdate = true;
+        this.setMotionMode(typeof this.pattern.glsl === 'string');
+    }
+
+    /**
+     * Change config on the running mesh. Colors, opacity, sizes and speeds
+     * update in place; pattern or spread changes re-lay the particles;
+     * particleCount and maxLines rebuild the meshes (with the same mobile
+     * reduction as the constructor). A running morph jumps to its end first.
+     */
+    setConfig(partial) {
+        if (!this.particles || this.destroyed) return;
+        if (this.morph) this.finishMorph();
+
+        const previous = this.config;
+        this.config = { ...previous, ...partial };
+        if (partial.particleCount) this.config.particleCount = Math.floor(partial.particleCount * this.mobileMultiplier);
+        this.active = this.qualityCounts();
+
+        if (this.config.particleCount !== previous.particleCount || this.config.maxLines !== previous.maxLines) {
+            const rotation = this.particles.rotation.clone();
+            this.disposeMeshes();
+            this.createParticles();
+            this.createLines();
+            this.particles.rotation.copy(rotation);
+            this.lines.rotation.copy(rotation);
+        } else {
+            this.applyConfig();
+            if (['pattern', 'spreadX', 'spreadY', 'spreadZ'].some((key) => this.config[key] !== previous[key])) {
+                this.layoutParticles();
             }
         }
 
-        lineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(linePositions, 3));
-        lineGeometry.setAttribute('color', new THREE.Float32BufferAttribute(lineColors, 3));
+        if ('reducedMotion' in partial) this.updateMotionMode();
+        this.renderStaticFrame();
+    }
+
+    // Device pixel ratio, capped by device class and the current quality tier
+    targetPixelRatio() {
+        const cap = Math.min(this.isMobile ? 1.5 : 2, QUALITY_TIERS[this.quality.tier].pixelRatio);
+        return Math.min(window.devicePixelRatio, cap);
+    }
+
+    // Particle count, line budget and search spread for the current tier
+    qualityCounts() {
+        const { config } = this;
+        const scale = QUALITY_TIERS[this.quality.tier];
+        return {
+            particleCount: Math.max(1, Math.floor(config.particleCount * scale.particles)),
+            maxLines: Math.max(1, Math.floor(config.maxLines * scale.lines)),
+            lineRefreshFrames: config.lineRefreshFrames * scale.lineRefreshScale
+        };
+    }
+
+    resetQualitySamples() {
+        Object.assign(this.quality, { frames: 0, frameTime: 0, workTime: 0, minDelta: Infinity, lastFrame: 0 });
+    }
+
+    setQualityTier(tier) {
+        this.quality.tier = tier;
+        this.renderer.setPixelRatio(this.targetPixelRatio());
+        this.particles.material.uniforms.uScale.value = this.pointScale();
+        this.applyQualityCounts();
+        this.renderStaticFrame();
+        this.resetQualitySamples();
+    }
+
+    // Resize the drawn slice of the existing buffers to the current tier.
+    // Particles keep their positions and colors and a running morph carries
+    // on; only the line search restarts over the new slice.
+    applyQualityCounts() {
+        this.active = this.qualityCounts();
+        const { particleCount, maxLines } = this.active;
+        this.particles.geometry.setDrawRange(0, particleCount);
+
+        // Keep drawing the edges whose particles are both still drawn
+        const edges = this.activeEdges;
+        let kept = 0;
+        for (let e = 0; e < this.activeEdgeCount && kept < maxLines; e++) {
+            const a = edges[e * 2];
+            const b = edges[e * 2 + 1];
+            if (a >= particleCount || b >= particleCount) continue;
+            edges[kept * 2] = a;
+            edges[kept * 2 + 1] = b;
+            kept++;
+        }
+        this.activeEdgeCount = kept;
+        this.pendingEdgeCount = 0;
+        this.edgeSearchCursor = 0;
+        this.snapshotPositions();
+        this.buildSpatialGrid();
+    }
+
+    // Quality governor. Frame times are averaged over a window: a window that
+    // misses the budget steps down a tier; a run of windows on budget with
+    // spare CPU time steps back up. An upgrade that immediately has to be
+    // undone doubles the wait before the next attempt, so a device sitting
+    // on a tier boundary doesn't flip-flop.
+    // The budget is never shorter than the fastest frame in the window: when
+    // the browser caps rAF (30 fps in Safari Low Power Mode and battery
+    // savers) every frame is that far apart, however little work it does.
+    sampleFrame(now, workTime) {
+        const q = this.quality;
+        const delta = q.lastFrame ? now - q.lastFrame : 0;
+        q.lastFrame = now;
+        // Skip the first frame and gaps from background tabs or a pause
+        if (delta <= 0 || delta > 250) return;
+
+        q.frames++;
+        q.frameTime += delta;
+        q.workTime += workTime;
+        q.minDelta = Math.min(q.minDelta, delta);
+        if (q.frames < QUALITY_WINDOW) return;
+
+        const budget = Math.max(this.config.frameBudget, q.minDelta);
+        const frameTime = q.frameTime / q.frames;
+        const spareCpu = q.workTime / q.frames < this.config.frameBudget * 0.5;
+        this.resetQualitySamples();
+
+        if (frameTime > budget * 1.2) {
+            q.goodWindows = 0;
+            if (q.probing) q.upgradeAfter = Math.min(q.upgradeAfter * 2, 32);
+            q.probing = false;
+            if (q.tier < QUALITY_TIERS.length - 1) this.setQualityTier(q.tier + 1);
+            return;
+        }
+
+        q.probing = false;
+        if (frameTime > budget * 1.05 || !spareCpu) {
+            q.goodWindows = 0;
+            return;
+        }
+        q.goodWindows++;
+        if (q.tier > 0 && q.goodWindows >= q.upgradeAfter) {
+            q.goodWindows = 0;
+            q.probing = true;
+            this.setQualityTier(q.tier - 1);
+        }
+    }
+
+    // Watch the signals that ask for less motion: the reduced-motion media
+    // query, Save-Data, and a low battery that isn't charging
+    setupMotionPreferences() {
+        this.motionSignals = { reducedMotion: false, saveData: false, lowBattery: false };
+
+        if (window.matchMedia) {
+            const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+            const onQuery = () => {
+                this.motionSignals.reducedMotion = query.matches;
+                this.updateMotionMode();
+            };
+            if (query.addEventListener) {
+                this.listen(query, 'change', onQuery);
+            } else {
+                // Safari < 14
+                query.addListener(onQuery);
+                this.listeners.push(() => query.removeListener(onQuery));
+            }
+            this.motionSignals.reducedMotion = query.matches;
+        }
+
+        const connection = navigator.connection;
+        if (connection) {
+            this.listen(connection, 'change', () => {
+                this.motionSignals.saveData = !!connection.saveData;
+                this.updateMotionMode();
+            });
+            this.motionSignals.saveData = !!connection.saveData;
+        }
+
+        if (navigator.getBattery) {
+            navigator.getBattery().then((battery) => {
+                if (this.destroyed) return;
+                const onBattery = () => {
+                    this.motionSignals.lowBattery = !battery.charging && battery.level <= LOW_BATTERY_LEVEL;
+                    this.updateMotionMode();
+                };
+                this.listen(battery, 'levelchange', onBattery);
+                this.listen(battery, 'chargingchange', onBattery);
+                onBattery();
+            }).catch(() => {});
+        }
+
+        this.updateMotionMode();
+    }
+
+    // 'full', or the configured reduced mode while any signal is active
+    updateMotionMode() {
+        const { reducedMotion } = this.config;
+        const reduced = reducedMotion !== 'off' && Object.values(this.motionSignals).some(Boolean);
+        const mode = reduced ? (reducedMotion === 'drift' ? 'drift' : 'static') : 'full';
+        if (mode === this.motionMode) return;
+
+        const wasStatic = this.motionMode === 'static';
+        this.motionMode = mode;
+        this.particles.material.uniforms.uMouseInfluence.value = this.mouseInfluence();
+
+        // Static mode draws on demand; restart or stop the loop to match
+        if (this.started && !this.paused && !this.destroyed && (wasStatic || mode === 'static')) {
+            cancelAnimationFrame(this.frameId);
+            this.animate();
+        }
+    }
+
+    // The pointer has no effect while motion is reduced
+    mouseInfluence() {
+        return this.motionMode === 'full' ? this.config.mouseInfluence : 0;
+    }
+
+    // Nothing loops in static mode, so redraw once after a visible change
+    renderStaticFrame() {
+        if (this.motionMode === 'static' && this.started && !this.paused && !this.destroyed) this.animate();
+    }
+
+    // Stop the render loop; the last frame stays on the canvas
+    pause() {
+        if (this.paused || !this.particles) return;
+        this.paused = true;
+        this.pausedAt = performance.now();
+        cancelAnimationFrame(this.frameId);
+    }
+
+    resume() {
+        if (!this.paused || this.destroyed) return;
+        this.paused = false;
+        this.quality.lastFrame = 0;
+        // Morphs run on wall-clock time; don't let the pause eat into them
+        if (this.morph) this.morph.startTime += performance.now() - this.pausedAt;
+        this.animate();
+    }
+
+    // Stop rendering, detach every listener and release all GPU resources
+    destroy() {
+        if (this.destroyed) return;
+        this.pause();
+        this.destroyed = true;
+
+        this.listeners.forEach((remove) => remove());
+        this.listeners = [];
+        clearTimeout(this.resizeTimeout);
+        if (this.visibilityObserver) this.visibilityObserver.disconnect();
+        if (this.themeObserver) this.themeObserver.disconnect();
+        if (this.morph) {
+            this.morph.resolve();
+            this.morph = null;
+        }
+
+        this.hideFallback();
+        if (this.particles) this.disposeMeshes();
+        if (this.renderer) {
+            this.renderer.dispose();
+            // Release the GL context now. A lost context can't be reused, so a
+            // fresh <canvas> takes this one's place for any later instance.
+            this.renderer.forceContextLoss();
+            this.canvas.replaceWith(this.canvas.cloneNode(false));
+        }
+
+        if (window.petrosParticles[this.canvasId] === this) {
+            delete window.petrosParticles[this.canvasId];
+        }
+    }
+
+    disposeMeshes() {
+        [this.particles, this.lines].filter(Boolean).forEach((object) => {
+            this.scene.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+    }
+
+    // Stand in for the GPU while the context is gone; the browser restores it
+    // (three.js re-uploads buffers on the next render) and we carry on
+    setupContextLossHandlers() {
+        this.listen(this.canvas, 'webglcontextlost', (e) => {
+            e.preventDefault(); // Without this the context is never restored
+            this.contextLost = true;
+            cancelAnimationFrame(this.frameId);
+            this.showFallback();
+        });
+        this.listen(this.canvas, 'webglcontextrestored', () => {
+            this.contextLost = false;
+            this.hideFallback();
+            this.quality.lastFrame = 0;
+            if (!this.paused && !this.destroyed) this.animate();
+        });
+    }
+
+    // Cover the WebGL canvas with the configured poster image, or a 2D
+    // drawing of the pattern when there is none
+    showFallback() {
+        if (this.fallback) return;
+        const { poster } = this.config;
+        const element = document.createElement(poster ? 'img' : 'canvas');
+        element.className = this.canvas.className;
+        element.setAttribute('aria-hidden', 'true');
+        element.style.width = '100%';
+        element.style.height = '100%';
+        if (poster) {
+            element.alt = '';
+            element.src = poster;
+            element.style.objectFit = 'cover';
+        }
+        this.canvas.parentNode.insertBefore(element, this.canvas.nextSibling);
+        this.canvas.style.visibility = 'hidden';
+        this.fallback = { element };
+
+        if (!poster) {
+            let resizeTimeout;
+            const redraw = () => {
+                clearTimeout(resizeTimeout);
+                resizeTimeout = setTimeout(() => this.drawFallback(element), 100);
+            };
+            window.addEventListener('resize', redraw);
+            this.fallback.cleanup = () => {
+                clearTimeout(resizeTimeout);
+                window.removeEventListener('resize', redraw);
+            };
+            this.drawFallback(element);
+        }
+    }
+
+    hideFallback() {
+        if (!this.fallback) return;
+        if (this.fallback.cleanup) this.fallback.cleanup();
+        this.fallback.element.remove();
+        this.fallback = null;
+        this.canvas.style.visibility = '';
+    }
+
+    // One still frame of the pattern: the same perspective as the WebGL
+    // camera, additive dots and distance-faded links
+    drawFallback(canvas) {
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        const dpr = Math.min(window.devicePixelRatio || 1, 2);
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const config = { ...this.config, particleCount: Math.min(this.config.particleCount, FALLBACK_MAX_PARTICLES) };
+        const pattern = ParticleMesh.getPattern(config.pattern);
+        const focal = (height / 2) / Math.tan((75 / 2) * Math.PI / 180); // Matches the 75° camera at z = 5
+
+        // Parse colors through the context so any CSS color format works
+        const toRgb = (value) => {
+            ctx.fillStyle = '#000';
+            ctx.fillStyle = this.resolveColor(value);
+            const style = ctx.fillStyle;
+            if (style[0] === '#') {
+                const n = parseInt(style.slice(1), 16);
+                return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+            }
+            return style.match(/[\d.]+/g).slice(0, 3).map(Number);
+        };
+        const primary = toRgb(config.primaryColor);
+        const secondary = toRgb(config.secondaryColor);
+
+        const points = [];
+        const p = [0, 0, 0];
+        for (let i = 0; i < config.particleCount; i++) {
+            const rest = pattern.init(i, config);
+            p[0] = rest[0]; p[1] = rest[1]; p[2] = rest[2];
+            pattern.update(i, 0, config, rest, p);
+            const depth = 5 - p[2];
+            if (depth <= 0.1) continue;
+            points.push({
+                x: p[0], y: p[1], z: p[2],
+                sx: width / 2 + (p[0] / depth) * focal,
+                sy: height / 2 - (p[1] / depth) * focal,
+                depth,
+                mix: Math.random() * config.colorMixRatio
+            });
+        }
+
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.lineWidth = 1;
+        const maxDistSq = config.connectionDistance * config.connectionDistance;
+        for (let a = 0; a < points.length; a++) {
+            for (let b = a + 1; b < points.length; b++) {
+                const dx = points[a].x - points[b].x;
+                const dy = points[a].y - points[b].y;
+                const dz = points[a].z - points[b].z;
+                const distSq = dx * dx + dy * dy + dz * dz;
+                if (distSq >= maxDistSq) continue;
+                const fade = 1 - Math.sqrt(distSq) / config.connectionDistance;
+                ctx.strokeStyle = `rgba(${primary.join(',')}, ${config.lineOpacity * fade})`;
+                ctx.beginPath();
+                ctx.moveTo(points[a].sx, points[a].sy);
+                ctx.lineTo(points[b].sx, points[b].sy);
+                ctx.stroke();
+            }
+        }
+
+        points.forEach((point) => {
+            const rgb = primary.map((c, k) => Math.round(c + (secondary[k] - c) * point.mix));
+            const radius = Math.max(0.5, (config.particleSize * focal) / point.depth / 2);
+            ctx.fillStyle = `rgba(${rgb.join(',')}, ${config.particleOpacity})`;
+            ctx.beginPath();
+            ctx.arc(point.sx, point.sy, radius, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    // addEventListener that destroy() can undo
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    // Refresh the CPU copy of every particle position (used by the line search)
+    snapshotPositions() {
+        const p = [0, 0, 0];
+        for (let i = 0; i < this.active.particleCount; i++) {
+            this.samplePosition(i, p);
+            this.positions[i * 3] = p[0];
+            this.positions[i * 3 + 1] = p[1];
+            this.positions[i * 3 + 2] = p[2];
+        }
+    }
+
+    createLines() {
+        const { particleCount, primaryColor, lineOpacity, maxLines } = this.config;
+
+        // Fixed-size buffers sized to the full line budget; updateLines() fills
+        // them and trims the draw range each frame
+        const lineGeometry = new THREE.BufferGeometry();
+        this.linePositions = new Float32Array(maxLines * 6);
+        this.lineColors = new Float32Array(maxLines * 6);
+        this.lineColor = new THREE.Color(this.resolveColor(primaryColor));
+
+        const positionAttr = new THREE.BufferAttribute(this.linePositions, 3);
+        const colorAttr = new THREE.BufferAttribute(this.lineColors, 3);
+        positionAttr.setUsage(THREE.DynamicDrawUsage);
+        colorAttr.setUsage(THREE.DynamicDrawUsage);
+        lineGeometry.setAttribute('position', positionAttr);
+        lineGeometry.setAttribute('color', colorAttr);
+        lineGeometry.setDrawRange(0, 0);
+
+        // Connection graph: pairs of particle indices. `activeEdges` is drawn
+        // while the next search fills `pendingEdges` a slice at a time.
+        this.activeEdges = new Uint32Array(maxLines * 2);
+        this.pendingEdges = new Uint32Array(maxLines * 2);
+        this.activeEdgeCount = 0;
+        this.pendingEdgeCount = 0;
+        this.edgeSearchCursor = 0;
+        this.edgeSearchOffset = 0;
+
+        // Spatial hash (uniform grid, counting-sorted into flat arrays)
+        this.cellOfParticle = new Int32Array(particleCount);
+        this.sortedParticles = new Int32Array(particleCount);
+        this.cellStart = new Int32Array(1);
 
         const lineMaterial = new THREE.LineBasicMaterial({
             vertexColors: true,
@@ -225,36 +1154,238 @@ class ParticleMesh {
 
         this.lines = new THREE.LineSegments(lineGeometry, lineMaterial);
         this.scene.add(this.lines);
+
+        // Full search up front so the first frame already has a mesh
+        this.snapshotPositions();
+        this.buildSpatialGrid();
+        this.searchEdges(this.active.particleCount);
+        this.updateLines();
+    }
+
+    // Bucket every particle into a uniform grid with cells one
+    // connectionDistance wide, so neighbours are always in the 27 cells around
+    buildSpatialGrid() {
+        const { connectionDistance } = this.config;
+        const { particleCount } = this.active;
+        const pos = this.positions;
+
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        for (let i = 0; i < particleCount; i++) {
+            const x = pos[i * 3], y = pos[i * 3 + 1], z = pos[i * 3 + 2];
+            if (x < minX) minX = x; if (x > maxX) maxX = x;
+            if (y < minY) minY = y; if (y > maxY) maxY = y;
+            if (z < minZ) minZ = z; if (z > maxZ) maxZ = z;
+        }
+
+        // Grow the cell if a tiny connectionDistance would explode the cell count
+        let cellSize = connectionDistance;
+        const maxCells = Math.max(4096, particleCount * 4);
+        const cellsFor = (size) => (Math.floor((maxX - minX) / size) + 1)
+            * (Math.floor((maxY - minY) / size) + 1)
+            * (Math.floor((maxZ - minZ) / size) + 1);
+        while (cellsFor(cellSize) > maxCells) cellSize *= 1.5;
+
+        const dimX = Math.floor((maxX - minX) / cellSize) + 1;
+        const dimY = Math.floor((maxY - minY) / cellSize) + 1;
+        const dimZ = Math.floor((maxZ - minZ) / cellSize) + 1;
+        const cellCount = dimX * dimY * dimZ;
+
+        if (this.cellStart.length < cellCount + 1) {
+            this.cellStart = new Int32Array(cellCount + 1);
+        } else {
+            this.cellStart.fill(0, 0, cellCount + 1);
+        }
+
+        // Count per cell, prefix-sum into start offsets, then scatter
+        const cellOf = this.cellOfParticle;
+        const start = this.cellStart;
+        for (let i = 0; i < particleCount; i++) {
+            const cx = Math.floor((pos[i * 3] - minX) / cellSize);
+            const cy = Math.floor((pos[i * 3 + 1] - minY) / cellSize);
+            const cz = Math.floor((pos[i * 3 + 2] - minZ) / cellSize);
+            const cell = (cz * dimY + cy) * dimX + cx;
+            cellOf[i] = cell;
+            start[cell + 1]++;
+        }
+        for (let c = 0; c < cellCount; c++) start[c + 1] += start[c];
+
+        const fill = start.slice(0, cellCount);
+        for (let i = 0; i < particleCount; i++) {
+            this.sortedParticles[fill[cellOf[i]]++] = i;
+        }
+
+        this.grid = { minX, minY, minZ, cellSize, dimX, dimY, dimZ };
+    }
+
+    // Continue the neighbour search for up to `batch` particles, adding
+    // pairs closer than connectionDistance until the line budget is spent.
+    // When the pass completes, the new graph replaces the drawn one.
+    // Each particle adds at most its share of the budget, and every pass
+    // starts at a different particle, so patterns laid out in index order
+    // (the sphere runs pole to pole) get lines across the whole shape.
+    searchEdges(batch) {
+        const { connectionDistance } = this.config;
+        const { particleCount, maxLines } = this.active;
+        const { dimX, dimY, dimZ } = this.grid;
+        const pos = this.positions;
+        const maxDistSq = connectionDistance * connectionDistance;
+        const start = this.cellStart;
+        const sorted = this.sortedParticles;
+        const edges = this.pendingEdges;
+        const end = Math.min(particleCount, this.edgeSearchCursor + batch);
+        const offset = this.edgeSearchOffset;
+        const perParticle = Math.max(1, Math.ceil(maxLines / particleCount));
+        // Order in this pass; a pair is added by whichever end comes first
+        const order = (k) => (k - offset + particleCount) % particleCount;
+
+        for (let step = this.edgeSearchCursor; step < end && this.pendingEdgeCount < maxLines; step++) {
+            const i = (step + offset) % particleCount;
+            const quota = Math.min(maxLines, this.pendingEdgeCount + perParticle);
+            const cell = this.cellOfParticle[i];
+            const cx = cell % dimX;
+            const cy = Math.floor(cell / dimX) % dimY;
+            const cz = Math.floor(cell / (dimX * dimY));
+            const x1 = pos[i * 3], y1 = pos[i * 3 + 1], z1 = pos[i * 3 + 2];
+
+            for (let dz = -1; dz <= 1; dz++) {
+                const nz = cz + dz;
+                if (nz < 0 || nz >= dimZ) continue;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ny = cy + dy;
+                    if (ny < 0 || ny >= dimY) continue;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = cx + dx;
+                        if (nx < 0 || nx >= dimX) continue;
+
+                        const c = (nz * dimY + ny) * dimX + nx;
+                        for (let k = start[c]; k < start[c + 1]; k++) {
+                            const j = sorted[k];
+                            if (order(j) <= step) continue; // each pair once
+
+                            const ddx = pos[j * 3] - x1;
+                            const ddy = pos[j * 3 + 1] - y1;
+                            const ddz = pos[j * 3 + 2] - z1;
+                            if (ddx * ddx + ddy * ddy + ddz * ddz >= maxDistSq) continue;
+
+                            edges[this.pendingEdgeCount * 2] = i;
+                            edges[this.pendingEdgeCount * 2 + 1] = j;
+                            if (++this.pendingEdgeCount >= quota) break;
+                        }
+                        if (this.pendingEdgeCount >= quota) break;
+                    }
+                    if (this.pendingEdgeCount >= quota) break;
+                }
+                if (this.pendingEdgeCount >= quota) break;
+            }
+        }
+
+        this.edgeSearchCursor = end;
+        if (end < particleCount && this.pendingEdgeCount < maxLines) return;
+
+        // Pass complete: swap buffers and start the next one from a fresh grid
+        const drawn = this.activeEdges;
+        this.activeEdges = this.pendingEdges;
+        this.pendingEdges = drawn;
+        this.activeEdgeCount = this.pendingEdgeCount;
+        this.pendingEdgeCount = 0;
+        this.edgeSearchCursor = 0;
+        this.edgeSearchOffset = Math.floor(Math.random() * particleCount);
+        this.snapshotPositions();
+        this.buildSpatialGrid();
+    }
+
+    // Write current particle positions into the line buffers. Lines fade out
+    // as their particles drift apart, so graph swaps don't pop.
+    updateLines() {
+        const { connectionDistance } = this.config;
+        const edges = this.activeEdges;
+        const out = this.linePositions;
+        const colors = this.lineColors;
+        const { r, g, b } = this.lineColor;
+        const a = this.lineEndA || (this.lineEndA = [0, 0, 0]);
+        const c = this.lineEndB || (this.lineEndB = [0, 0, 0]);
+        let count = 0;
+
+        for (let e = 0; e < this.activeEdgeCount; e++) {
+            this.samplePosition(edges[e * 2], a);
+            this.samplePosition(edges[e * 2 + 1], c);
+            const dx = c[0] - a[0];
+            const dy = c[1] - a[1];
+            const dz = c[2] - a[2];
+            const fade = 1 - Math.sqrt(dx * dx + dy * dy + dz * dz) / connectionDistance;
+            if (fade <= 0) continue;
+
+            const o = count * 6;
+            out[o] = a[0]; out[o + 1] = a[1]; out[o + 2] = a[2];
+            out[o + 3] = c[0]; out[o + 4] = c[1]; out[o + 5] = c[2];
+            colors[o] = colors[o + 3] = r * fade;
+            colors[o + 1] = colors[o + 4] = g * fade;
+            colors[o + 2] = colors[o + 5] = b * fade;
+            count++;
+        }
+
+        const geometry = this.lines.geometry;
+        geometry.setDrawRange(0, count * 2);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
     }
 
     setupMouseTracking() {
         // Mouse tracking for desktop
-        document.addEventListener('mousemove', (e) => {
+        this.listen(document, 'mousemove', (e) => {
             this.mouseX = (e.clientX / window.innerWidth) * 2 - 1;
             this.mouseY = -(e.clientY / window.innerHeight) * 2 + 1;
+            this.trackPointer(e.clientX, e.clientY);
+        });
+        this.listen(document.documentElement, 'mouseleave', () => {
+            this.pointer.active = false;
         });
 
         // Touch tracking for mobile (with passive listener for performance)
-        document.addEventListener('touchmove', (e) => {
+        this.listen(document, 'touchmove', (e) => {
             if (e.touches.length > 0) {
                 this.mouseX = (e.touches[0].clientX / window.innerWidth) * 2 - 1;
                 this.mouseY = -(e.touches[0].clientY / window.innerHeight) * 2 + 1;
+                this.trackPointer(e.touches[0].clientX, e.touches[0].clientY);
             }
         }, { passive: true });
+        this.listen(document, 'touchend', () => {
+            this.pointer.active = false;
+        }, { passive: true });
+
+        // The canvas itself ignores pointer events, so clicks and taps are
+        // caught on the document and kept if they land over it
+        this.listen(document, 'pointerdown', (e) => {
+            if (this.trackPointer(e.clientX, e.clientY)) this.addRipple();
+        }, { passive: true });
+    }
+
+    // Pointer position in canvas NDC; returns whether it is over the canvas
+    trackPointer(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const inside = clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom;
+        if (rect.width && rect.height) {
+            this.pointer.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+            this.pointer.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+        }
+        this.pointer.active = inside;
+        return inside;
     }
 
     setupResizeHandler() {
         // Debounced resize handler for better performance
-        let resizeTimeout;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
+        this.listen(window, 'resize', () => {
+            clearTimeout(this.resizeTimeout);
+            this.resizeTimeout = setTimeout(() => {
                 this.camera.aspect = window.innerWidth / window.innerHeight;
                 this.camera.updateProjectionMatrix();
                 this.renderer.setSize(window.innerWidth, window.innerHeight);
+                this.particles.material.uniforms.uScale.value = this.pointScale();
                 
                 // Update mobile detection on resize
                 this.isMobile = window.innerWidth < 768;
+                this.renderStaticFrame();
             }, 100);
         });
     }
@@ -263,95 +1394,51 @@ class ParticleMesh {
         const header = document.querySelector('header');
         if (!header) return;
 
-        const observer = new IntersectionObserver((entries) => {
+        this.visibilityObserver = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 this.isVisible = entry.isIntersecting;
                 this.canvas.style.opacity = entry.isIntersecting ? '1' : '0';
             });
+            this.renderStaticFrame();
         }, { threshold: 0.1 });
 
-        observer.observe(header);
+        this.visibilityObserver.observe(header);
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    animate(now = performance.now()) {
+        if (this.contextLost) return;
+        const isStatic = this.motionMode === 'static';
+        if (!isStatic) this.frameId = requestAnimationFrame((t) => this.animate(t));
         
-        if (!this.isVisible) return;
+        if (!this.isVisible) {
+            this.quality.lastFrame = 0;
+            return;
+        }
+        const workStart = performance.now();
 
-        this.time += this.config.waveSpeed;
-        const { pattern, waveAmplitude, rotationSpeed, mouseInfluence } = this.config;
+        // Reduced motion slows everything to a drift, or holds it still
+        const speed = isStatic ? 0 : (this.motionMode === 'drift' ? REDUCED_MOTION_SPEED : 1);
+        const mouseInfluence = this.mouseInfluence();
+        const rotationSpeed = this.config.rotationSpeed * speed;
+        this.time += this.config.waveSpeed * speed;
 
-        // Animate particles based on pattern
-        const pos = this.particles.geometry.attributes.position.array;
-        
-        for (let i = 0; i < this.config.particleCount; i++) {
-            const origX = this.originalPositions[i * 3];
-            const origY = this.originalPositions[i * 3 + 1];
-            
-            switch (pattern) {
-                case 'spiral':
-                    pos[i * 3 + 1] = origY + Math.sin(this.time * 2 + i * 0.05) * waveAmplitude;
-                    break;
-                    
-                case 'sphere':
-                    const scale = 1 + Math.sin(this.time + i * 0.01) * 0.1;
-                    pos[i * 3] = this.originalPositions[i * 3] * scale;
-                    pos[i * 3 + 1] = this.originalPositions[i * 3 + 1] * scale;
-                    pos[i * 3 + 2] = this.originalPositions[i * 3 + 2] * scale;
-                    break;
-                    
-                case 'grid':
-                    pos[i * 3 + 2] = Math.sin(this.time + origX * 0.5 + origY * 0.5) * waveAmplitude * 2;
-                    break;
-                    
-                case 'flow':
-                    pos[i * 3] = origX + Math.sin(this.time + origY) * waveAmplitude;
-                    pos[i * 3 + 1] = origY + Math.cos(this.time + origX * 0.5) * waveAmplitude * 0.5;
-                    break;
-                    
-                case 'converge':
-                    const pulse = Math.sin(this.time) * 0.3;
-                    pos[i * 3] = origX * (1 - pulse * 0.1);
-                    pos[i * 3 + 1] = origY * (1 - pulse * 0.1);
-                    break;
-                
-                case 'layers':
-                    // Gentle horizontal drift with subtle vertical wave
-                    pos[i * 3] = origX + Math.sin(this.time * 0.5 + origY * 0.3) * waveAmplitude * 0.5;
-                    pos[i * 3 + 1] = origY + Math.sin(this.time + origX * 0.2) * waveAmplitude * 0.3;
-                    break;
-                
-                case 'drops':
-                    // Falling raindrop effect - particles drift down and reset
-                    const fallSpeed = 0.02;
-                    const dropOffset = (this.time * fallSpeed + i * 0.01) % 1;
-                    const yRange = this.config.spreadY || 15;
-                    
-                    // Smooth falling motion with slight horizontal sway
-                    pos[i * 3] = origX + Math.sin(this.time * 0.5 + i * 0.1) * waveAmplitude * 0.3;
-                    pos[i * 3 + 1] = (yRange / 2) - (dropOffset * yRange) + Math.sin(i) * 2;
-                    
-                    // Fade effect at bottom (handled by position)
-                    break;
-                
-                case 'rise':
-                    // Gentle rising effect - particles float upward
-                    const riseSpeed = 0.015;
-                    const riseOffset = (this.time * riseSpeed + i * 0.008) % 1;
-                    const yRangeRise = this.config.spreadY || 12;
-                    
-                    // Smooth rising motion with gentle horizontal sway
-                    pos[i * 3] = origX + Math.sin(this.time * 0.3 + i * 0.05) * waveAmplitude * 0.4;
-                    pos[i * 3 + 1] = (-yRangeRise / 2) + (riseOffset * yRangeRise) + Math.sin(i * 0.5) * 1.5;
-                    pos[i * 3 + 2] = this.originalPositions[i * 3 + 2] + Math.cos(this.time * 0.2 + i * 0.03) * 0.2;
-                    break;
-                    
-                default: // wave
-                    pos[i * 3 + 1] = origY + Math.sin(this.time + origX * 0.5) * waveAmplitude;
-            }
+        // GPU patterns only need fresh uniforms; CPU patterns step every particle
+        const uniforms = this.particles.material.uniforms;
+        uniforms.uTime.value = this.time;
+        uniforms.uMouse.value.set(this.mouseX, this.mouseY);
+        if (this.morph && isStatic) {
+            this.finishMorph();
+        } else if (this.morph) {
+            this.updateMorph();
+        }
+        if (!this.morph && !this.gpuMotion) {
+            this.updateCpuMotion();
         }
-        
-        this.particles.geometry.attributes.position.needsUpdate = true;
+
+        // Keep the connection graph tracking the moving particles
+        const { particleCount, lineRefreshFrames } = this.active;
+        this.searchEdges(Math.ceil(particleCount / lineRefreshFrames));
+        this.updateLines();
 
         // Mouse interaction
         this.particles.rotation.y += (this.mouseX * mouseInfluence - this.particles.rotation.y) * 0.02;
@@ -363,10 +1450,160 @@ class ParticleMesh {
         this.particles.rotation.y += rotationSpeed;
         this.lines.rotation.y += rotationSpeed;
 
+        this.updateForces();
         this.renderer.render(this.scene, this.camera);
+
+        if (this.config.adaptiveQuality && !isStatic) this.sampleFrame(now, performance.now() - workStart);
     }
 }
 
+ParticleMesh.patterns = {};
+
+// Live instances keyed by canvas id, e.g. petrosParticles['particle-canvas'].pause()
+window.petrosParticles = window.petrosParticles || {};
+
+ParticleMesh.easings = {
+    linear: (t) => t,
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3)
+};
+
+// Holds particles where they are; the starting point of an interrupted morph
+const FROZEN_PATTERN = { init: () => [0, 0, 0], update() {} };
+
+// Quality tiers, best first. Counts scale the configured particleCount and
+// maxLines, pixelRatio caps devicePixelRatio and lineRefreshScale spreads
+// each neighbour search over more frames.
+const QUALITY_TIERS = [
+    { particles: 1, lines: 1, pixelRatio: 2, lineRefreshScale: 1 },
+    { particles: 0.75, lines: 0.6, pixelRatio: 1.5, lineRefreshScale: 1.5 },
+    { particles: 0.5, lines: 0.35, pixelRatio: 1.25, lineRefreshScale: 2 },
+    { particles: 0.3, lines: 0.15, pixelRatio: 1, lineRefreshScale: 3 }
+];
+const QUALITY_WINDOW = 60; // Frames averaged per governor decision
+
+const REDUCED_MOTION_SPEED = 0.15; // Speed multiplier for 'drift' mode
+const LOW_BATTERY_LEVEL = 0.2;
+
+const FALLBACK_MAX_PARTICLES = 400; // Keeps the 2D fallback's O(n²) link pass cheap
+
+// Built-in patterns
+const randomSpread = (scale) => (Math.random() - 0.5) * scale;
+
+ParticleMesh.registerPattern('wave', {
+    init: (i, c) => [randomSpread(c.spreadX), randomSpread(c.spreadY), randomSpread(c.spreadZ)],
+    update(i, t, c, o, p) {
+        p[1] = o[1] + Math.sin(t + o[0] * 0.5) * c.waveAmplitude;
+    },
+    glsl: 'p.y = o.y + sin(t + o.x * 0.5) * amp;'
+});
+
+ParticleMesh.registerPattern('spiral', {
+    init(i, c) {
+        const angle = (i / c.particleCount) * Math.PI * 8;
+        const radius = (i / c.particleCount) * 8;
+        return [Math.cos(angle) * radius, randomSpread(c.spreadY), Math.sin(angle) * radius - 5];
+    },
+    update(i, t, c, o, p) {
+        p[1] = o[1] + Math.sin(t * 2 + i * 0.05) * c.waveAmplitude;
+    },
+    glsl: 'p.y = o.y + sin(t * 2.0 + i * 0.05) * amp;'
+});
+
+ParticleMesh.registerPattern('sphere', {
+    init(i, c) {
+        const phi = Math.acos(-1 + (2 * i) / c.particleCount);
+        const theta = Math.sqrt(c.particleCount * Math.PI) * phi;
+        return [Math.cos(theta) * Math.sin(phi) * 5, Math.sin(theta) * Math.sin(phi) * 5, Math.cos(phi) * 5];
+    },
+    update(i, t, c, o, p) {
+        const scale = 1 + Math.sin(t + i * 0.01) * 0.1;
+        p[0] = o[0] * scale;
+        p[1] = o[1] * scale;
+        p[2] = o[2] * scale;
+    },
+    glsl: 'p = o * (1.0 + sin(t + i * 0.01) * 0.1);'
+});
+
+ParticleMesh.registerPattern('grid', {
+    init(i, c) {
+        const cols = Math.ceil(Math.sqrt(c.particleCount));
+        return [((i % cols) / cols - 0.5) * c.spreadX, (Math.floor(i / cols) / cols - 0.5) * c.spreadY, randomSpread(2)];
+    },
+    update(i, t, c, o, p) {
+        p[2] = Math.sin(t + o[0] * 0.5 + o[1] * 0.5) * c.waveAmplitude * 2;
+    },
+    glsl: 'p.z = sin(t + o.x * 0.5 + o.y * 0.5) * amp * 2.0;'
+});
+
+ParticleMesh.registerPattern('flow', {
+    init: (i, c) => [randomSpread(c.spreadX), randomSpread(c.spreadY * 0.5), randomSpread(c.spreadZ * 0.5)],
+    update(i, t, c, o, p) {
+        p[0] = o[0] + Math.sin(t + o[1]) * c.waveAmplitude;
+        p[1] = o[1] + Math.cos(t + o[0] * 0.5) * c.waveAmplitude * 0.5;
+    },
+    glsl: `p.x = o.x + sin(t + o.y) * amp;
+           p.y = o.y + cos(t + o.x * 0.5) * amp * 0.5;`
+});
+
+ParticleMesh.registerPattern('converge', {
+    init() {
+        const dist = Math.random() * 10;
+        const ang = Math.random() * Math.PI * 2;
+        return [Math.cos(ang) * dist, Math.sin(ang) * dist * 0.5, randomSpread(5)];
+    },
+    update(i, t, c, o, p) {
+        const pulse = Math.sin(t) * 0.3;
+        p[0] = o[0] * (1 - pulse * 0.1);
+        p[1] = o[1] * (1 - pulse * 0.1);
+    },
+    glsl: `float pulse = sin(t) * 0.3;
+           p.xy = o.xy * (1.0 - pulse * 0.1);`
+});
+
+// Clean horizontal layers - structured and clinical; gentle drift with subtle vertical wave
+ParticleMesh.registerPattern('layers', {
+    init(i, c) {
+        const layerCount = 5;
+        const layer = Math.floor(Math.random() * layerCount);
+        return [randomSpread(c.spreadX), (layer / layerCount - 0.5) * c.spreadY + randomSpread(0.5), randomSpread(c.spreadZ * 0.3)];
+    },
+    update(i, t, c, o, p) {
+        p[0] = o[0] + Math.sin(t * 0.5 + o[1] * 0.3) * c.waveAmplitude * 0.5;
+        p[1] = o[1] + Math.sin(t + o[0] * 0.2) * c.waveAmplitude * 0.3;
+    },
+    glsl: `p.x = o.x + sin(t * 0.5 + o.y * 0.3) * amp * 0.5;
+           p.y = o.y + sin(t + o.x * 0.2) * amp * 0.3;`
+});
+
+// Raindrop-like distribution - particles drift down and wrap, with slight sway
+ParticleMesh.registerPattern('drops', {
+    init: (i, c) => [randomSpread(c.spreadX), randomSpread(c.spreadY), randomSpread(c.spreadZ * 0.4)],
+    update(i, t, c, o, p) {
+        const fall = (t * 0.02 + i * 0.01) % 1;
+        p[0] = o[0] + Math.sin(t * 0.5 + i * 0.1) * c.waveAmplitude * 0.3;
+        p[1] = c.spreadY / 2 - fall * c.spreadY + Math.sin(i) * 2;
+    },
+    glsl: `float fall = mod(t * 0.02 + i * 0.01, 1.0);
+           p.x = o.x + sin(t * 0.5 + i * 0.1) * amp * 0.3;
+           p.y = spreadY * 0.5 - fall * spreadY + sin(i) * 2.0;`
+});
+
+// Rising particles - spread wide, gentle upward motion with horizontal sway
+ParticleMesh.registerPattern('rise', {
+    init: (i, c) => [randomSpread(c.spreadX), randomSpread(c.spreadY), randomSpread(c.spreadZ * 0.3)],
+    update(i, t, c, o, p) {
+        const lift = (t * 0.015 + i * 0.008) % 1;
+        p[0] = o[0] + Math.sin(t * 0.3 + i * 0.05) * c.waveAmplitude * 0.4;
+        p[1] = -c.spreadY / 2 + lift * c.spreadY + Math.sin(i * 0.5) * 1.5;
+        p[2] = o[2] + Math.cos(t * 0.2 + i * 0.03) * 0.2;
+    },
+    glsl: `float lift = mod(t * 0.015 + i * 0.008, 1.0);
+           p.x = o.x + sin(t * 0.3 + i * 0.05) * amp * 0.4;
+           p.y = -spreadY * 0.5 + lift * spreadY + sin(i * 0.5) * 1.5;
+           p.z = o.z + cos(t * 0.2 + i * 0.03) * 0.2;`
+});
+
 // Page-specific configurations
 const particleConfigs = {
     // Homepage - Enhanced flowing wave (luxurious clinical excellence)
@@ -375,8 +1612,6 @@ const particleConfigs = {
         pattern: 'wave',
         waveAmplitude: 0.5,
         waveSpeed: 0.0025,
-        primaryColor: '#7A8B69',
-        secondaryColor: '#ffffff',
         colorMixRatio: 0.6,
         mouseInfluence: 0.3,
         particleOpacity: 0.7,
@@ -385,7 +1620,8 @@ const particleConfigs = {
         spreadX: 25,
         spreadY: 12,
         spreadZ: 12,
-        rotationSpeed: 0.0012
+        rotationSpeed: 0.0012,
+        interaction: 'repel'
     },
     
     // Method page - Clean horizontal layers (structured methodology)
@@ -393,8 +1629,7 @@ const particleConfigs = {
         particleCount: 1000,
         pattern: 'layers',
         waveAmplitude: 0.2,
-        primaryColor: '#7A8B69',
-        secondaryColor: '#2F3E30',
+        secondaryColor: 'var(--petros-deep)',
         colorMixRatio: 0.3,
         rotationSpeed: 0.0008,
         spreadX: 25,
@@ -406,8 +1641,6 @@ const particleConfigs = {
     services: {
         particleCount: 1000,
         pattern: 'sphere',
-        primaryColor: '#7A8B69',
-        secondaryColor: '#ffffff',
         colorMixRatio: 0.4,
         rotationSpeed: 0.0015
     },
@@ -417,8 +1650,6 @@ const particleConfigs = {
         particleCount: 900,
         pattern: 'rise',
         waveAmplitude: 0.3,
-        primaryColor: '#7A8B69',
-        secondaryColor: '#ffffff',
         colorMixRatio: 0.5,
         spreadX: 25,
         spreadY: 12,
@@ -431,8 +1662,6 @@ const particleConfigs = {
         particleCount: 1000,
         pattern: 'flow',
         waveAmplitude: 0.25,
-        primaryColor: '#7A8B69',
-        secondaryColor: '#ffffff',
         colorMixRatio: 0.5,
         waveSpeed: 0.0015
     },
@@ -442,13 +1671,12 @@ const particleConfigs = {
         particleCount: 800,
         pattern: 'drops',
         waveAmplitude: 0.4,
-        primaryColor: '#7A8B69',
-        secondaryColor: '#ffffff',
         colorMixRatio: 0.6,
         waveSpeed: 0.003,
         spreadX: 30,
         spreadY: 15,
-        lineOpacity: 0.08
+        lineOpacity: 0.08,
+        interaction: 'ripple' // Drops splash where the visitor taps
     },
     
     // About page - Organic wave (personal)
@@ -456,8 +1684,7 @@ const particleConfigs = {
         particleCount: 1000,
         pattern: 'wave',
         waveAmplitude: 0.35,
-        primaryColor: '#7A8B69',
-        secondaryColor: '#2F3E30',
+        secondaryColor: 'var(--petros-deep)',
         colorMixRatio: 0.4,
         spreadY: 8
     },
@@ -467,8 +1694,6 @@ const particleConfigs = {
         particleCount: 1100,
         pattern: 'flow',
         waveAmplitude: 0.3,
-        primaryColor: '#7A8B69',
-        secondaryColor: '#ffffff',
         colorMixRatio: 0.5,
         waveSpeed: 0.0025
     }
@@ -477,5 +1702,5 @@ const particleConfigs = {
 // Initialize on page load
 function initParticles(pageType) {
     const config = particleConfigs[pageType] || particleConfigs.home;
-    new ParticleMesh('particle-canvas', config);
+    return new ParticleMesh('particle-canvas', config);
 }
@@ -3,6 +3,189 @@
  * Anatomically detailed spine visualization with realistic features
  */
 
+// Per-vertebra reference data. In the cervical spine each nerve root exits
+// above its vertebra (C8 below C7); from T1 down it exits below.
+const SPINE_VERTEBRAE = {
+    C1: { label: 'C1 – Atlas', region: 'cervical', nerveRoot: 'C1', dermatome: 'No sensory dermatome', myotome: 'Head and upper neck flexion (suboccipitals)', conditions: 'Atlas (Jefferson) fracture, atlanto-axial instability, cervicogenic headache' },
+    C2: { label: 'C2 – Axis', region: 'cervical', nerveRoot: 'C2', dermatome: 'Back of the head', myotome: 'Neck flexion and extension', conditions: 'Odontoid (dens) fracture, atlanto-axial instability, cervicogenic headache' },
+    C3: { label: 'C3', region: 'cervical', nerveRoot: 'C3', dermatome: 'Side of the neck', myotome: 'Lateral neck flexion; diaphragm (C3–C5)', conditions: 'Whiplash, facet joint pain' },
+    C4: { label: 'C4', region: 'cervical', nerveRoot: 'C4', dermatome: 'Top of the shoulder and collarbone', myotome: 'Shoulder elevation; diaphragm (C3–C5)', conditions: 'Whiplash, facet joint pain, cervical spondylosis' },
+    C5: { label: 'C5', region: 'cervical', nerveRoot: 'C5', dermatome: 'Outer upper arm', myotome: 'Shoulder abduction, elbow flexion', conditions: 'C4–C5 disc herniation, C5 radiculopathy, cervical spondylosis' },
+    C6: { label: 'C6', region: 'cervical', nerveRoot: 'C6', dermatome: 'Outer forearm and thumb', myotome: 'Elbow flexion, wrist extension', conditions: 'C5–C6 disc herniation, C6 radiculopathy, cervical spondylosis' },
+    C7: { label: 'C7 – Vertebra Prominens', region: 'cervical', nerveRoot: 'C7 (C8 exits below)', dermatome: 'Middle finger (C8: ring and little fingers)', myotome: 'Elbow extension, wrist flexion (C8: grip)', conditions: 'C6–C7 disc herniation, C7 radiculopathy' },
+    T1: { label: 'T1', region: 'thoracic', nerveRoot: 'T1', dermatome: 'Inner forearm', myotome: 'Finger abduction (hand intrinsics)', conditions: 'Thoracic outlet syndrome, T1 radiculopathy' },
+    T2: { label: 'T2', region: 'thoracic', nerveRoot: 'T2', dermatome: 'Inner upper arm and armpit', myotome: 'Intercostals', conditions: 'Postural upper back pain, stiffness' },
+    T3: { label: 'T3', region: 'thoracic', nerveRoot: 'T3', dermatome: 'Upper chest band', myotome: 'Intercostals', conditions: 'Postural upper back pain, costovertebral joint dysfunction' },
+    T4: { label: 'T4', region: 'thoracic', nerveRoot: 'T4', dermatome: 'Chest band at nipple level', myotome: 'Intercostals', conditions: 'T4 syndrome, postural kyphosis, rib dysfunction' },
+    T5: { label: 'T5', region: 'thoracic', nerveRoot: 'T5', dermatome: 'Chest band below the nipples', myotome: 'Intercostals', conditions: 'Postural kyphosis, Scheuermann\'s disease, rib dysfunction' },
+    T6: { label: 'T6', region: 'thoracic', nerveRoot: 'T6', dermatome: 'Lower chest band', myotome: 'Intercostals', conditions: 'Scheuermann\'s disease, rib dysfunction' },
+    T7: { label: 'T7', region: 'thoracic', nerveRoot: 'T7', dermatome: 'Band at the base of the sternum', myotome: 'Intercostals, upper abdominals', conditions: 'Osteoporotic compression fracture, Scheuermann\'s disease' },
+    T8: { label: 'T8', region: 'thoracic', nerveRoot: 'T8', dermatome: 'Upper abdominal band', myotome: 'Intercostals, upper abdominals', conditions: 'Osteoporotic compression fracture, thoracic disc herniation' },
+    T9: { label: 'T9', region: 'thoracic', nerveRoot: 'T9', dermatome: 'Abdominal band above the navel', myotome: 'Abdominals', conditions: 'Osteoporotic compression fracture, thoracic disc herniation' },
+    T10: { label: 'T10', region: 'thoracic', nerveRoot: 'T10', dermatome: 'Band at the navel', myotome: 'Abdominals', conditions: 'Osteoporotic compression fracture, thoracic disc herniation' },
+    T11: { label: 'T11', region: 'thoracic', nerveRoot: 'T11', dermatome: 'Lower abdominal band', myotome: 'Lower abdominals', conditions: 'Thoracolumbar junction pain, compression fracture' },
+    T12: { label: 'T12', region: 'thoracic', nerveRoot: 'T12', dermatome: 'Band above the groin', myotome: 'Lower abdominals, quadratus lumborum', conditions: 'Thoracolumbar junction compression fracture, junction pain' },
+    L1: { label: 'L1', region: 'lumbar', nerveRoot: 'L1', dermatome: 'Groin', myotome: 'Hip flexion', conditions: 'Compression fracture, thoracolumbar junction pain' },
+    L2: { label: 'L2', region: 'lumbar', nerveRoot: 'L2', dermatome: 'Front of the upper thigh', myotome: 'Hip flexion, hip adduction', conditions: 'Upper lumbar disc herniation, meralgia-like thigh pain' },
+    L3: { label: 'L3', region: 'lumbar', nerveRoot: 'L3', dermatome: 'Front of the thigh to the inner knee', myotome: 'Knee extension', conditions: 'L3–L4 disc herniation, femoral nerve irritation' },
+    L4: { label: 'L4', region: 'lumbar', nerveRoot: 'L4', dermatome: 'Inner shin and inner ankle', myotome: 'Ankle dorsiflexion, knee extension', conditions: 'L4–L5 disc herniation, degenerative spondylolisthesis, lumbar stenosis' },
+    L5: { label: 'L5', region: 'lumbar', nerveRoot: 'L5', dermatome: 'Outer shin, top of the foot and big toe', myotome: 'Big toe extension, hip abduction', conditions: 'L5–S1 disc herniation, isthmic spondylolisthesis, sciatica' },
+    sacrum: { label: 'Sacrum (S1–S5)', region: 'sacral', nerveRoot: 'S1–S5', dermatome: 'S1: outer foot and heel; S2–S5: back of the thigh and saddle area', myotome: 'S1: ankle plantarflexion; S2–S4: bladder, bowel and pelvic floor', conditions: 'Sacroiliac joint dysfunction, S1 radiculopathy, sacral stress fracture' },
+    coccyx: { label: 'Coccyx (Co1–Co4)', region: 'sacral', nerveRoot: 'Co1', dermatome: 'Skin around the tailbone', myotome: 'Pelvic floor attachment (no limb myotome)', conditions: 'Coccydynia, coccyx fracture or bruising' }
+};
+
+// Disc between two vertebrae, e.g. 'L4-L5'. The nerve root usually affected
+// by a herniation there supplies the dermatome and myotome.
+function spineDiscData(upper, lower) {
+    const region = SPINE_VERTEBRAE[upper].region;
+    const level = Number(upper.slice(1));
+    let root = lower;
+    let nerveRoot = lower;
+    if (region === 'thoracic') {
+        root = upper;
+        nerveRoot = `${upper} (exiting)`;
+    } else if (region === 'lumbar') {
+        nerveRoot = `${lower} (traversing), ${upper} (exiting)`;
+    }
+    const conditions = upper === 'C1'
+        ? 'No true disc: atlanto-axial joint. Instability, rotational sprain'
+        : `${upper}–${lower} disc herniation, degenerative disc disease` + (region === 'lumbar' && level >= 3 ? ', sciatica' : '');
+    return {
+        label: `${upper}–${lower} disc`,
+        region,
+        nerveRoot,
+        dermatome: SPINE_VERTEBRAE[root].dermatome,
+        myotome: SPINE_VERTEBRAE[root].myotome,
+        conditions,
+        isDisc: true
+    };
+}
+
+// Posture presets, as offsets from the built-in physiological curve.
+// shape(region, t) gets a segment's region and its 0-1 position down that
+// region and returns { x, z, ry } at full amount: +z is anterior, +x lateral,
+// ry axial rotation. Segment tilt is derived from the resulting curve.
+const SPINE_POSTURES = {
+    neutral: {
+        label: 'Neutral',
+        shape: () => ({})
+    },
+    hyperkyphosis: {
+        label: 'Hyperkyphosis',
+        shape: (region, t) => (region === 'thoracic' ? { z: -0.5 * Math.sin(t * Math.PI) } : {})
+    },
+    hyperlordosis: {
+        label: 'Hyperlordosis',
+        shape: (region, t) => (region === 'lumbar' ? { z: 0.45 * Math.sin(t * Math.PI) } : {})
+    },
+    flatBack: {
+        label: 'Flat back',
+        shape: (region, t) => {
+            const bow = Math.sin(t * Math.PI);
+            if (region === 'cervical') return { z: -0.1 * bow };
+            if (region === 'thoracic') return { z: 0.2 * bow };
+            if (region === 'lumbar') return { z: -0.3 * bow };
+            return {};
+        }
+    },
+    scoliosis: {
+        label: 'Scoliosis',
+        // S-curve over T1-L5: thoracic convex right, lumbar convex left
+        shape: (region, t) => {
+            if (region !== 'thoracic' && region !== 'lumbar') return {};
+            const u = region === 'thoracic' ? t * 12 / 17 : (12 + t * 5) / 17;
+            const wave = Math.sin(u * Math.PI * 2);
+            return { x: 0.5 * wave, ry: 0.25 * wave };
+        }
+    },
+    forwardHead: {
+        label: 'Forward head',
+        shape: (region, t) => {
+            if (region === 'cervical') return { z: 0.7 * (1 - t) * (1 - t) };
+            if (region === 'thoracic') return { z: -0.15 * Math.sin(Math.PI * Math.min(t * 2, 1)) };
+            return {};
+        }
+    }
+};
+
+// Typical total range of motion, in degrees, of the motion segment below
+// each vertebra (C1 = C1-C2 ... L5 = L5-S1). Flexion is flexion plus
+// extension; rotation is left plus right axial rotation.
+const SPINE_SEGMENT_RANGE = {
+    flexion: {
+        C1: 15, C2: 10, C3: 15, C4: 20, C5: 20, C6: 17, C7: 9,
+        T1: 4, T2: 4, T3: 4, T4: 4, T5: 4, T6: 5, T7: 6, T8: 6, T9: 6, T10: 6, T11: 12, T12: 12,
+        L1: 12, L2: 14, L3: 15, L4: 16, L5: 17
+    },
+    rotation: {
+        C1: 40, C2: 6, C3: 7, C4: 7, C5: 7, C6: 6, C7: 5,
+        T1: 9, T2: 8, T3: 8, T4: 8, T5: 8, T6: 8, T7: 8, T8: 7, T9: 4, T10: 2, T11: 2, T12: 2,
+        L1: 2, L2: 2, L3: 2, L4: 2, L5: 1
+    }
+};
+
+// Movements: each keyframe gives, per region, how far through its range
+// (-1 to 1; positive is flexion, or rotation one way) the region is at t.
+// anchor is the segment that stays still while the chain moves around it.
+const SPINE_MOVEMENTS = {
+    catCow: {
+        label: 'Cat-cow',
+        axis: 'flexion',
+        anchor: 'T12',
+        duration: 6000,
+        keyframes: [
+            { t: 0, cervical: 0, thoracic: 0, lumbar: 0 },
+            { t: 0.25, cervical: 0.6, thoracic: 0.9, lumbar: 0.8 }, // Cat: round the whole back
+            { t: 0.5, cervical: 0, thoracic: 0, lumbar: 0 },
+            { t: 0.75, cervical: -0.6, thoracic: -0.5, lumbar: -0.8 }, // Cow: lift the chest and head
+            { t: 1, cervical: 0, thoracic: 0, lumbar: 0 }
+        ]
+    },
+    lumbarFlexion: {
+        label: 'Lumbar flexion / extension',
+        axis: 'flexion',
+        anchor: 'sacrum',
+        duration: 5000,
+        keyframes: [
+            { t: 0, cervical: 0, thoracic: 0, lumbar: 0 },
+            { t: 0.3, cervical: 0.1, thoracic: 0.2, lumbar: 0.9 },
+            { t: 0.5, cervical: 0, thoracic: 0, lumbar: 0 },
+            { t: 0.75, cervical: 0, thoracic: -0.1, lumbar: -0.7 },
+            { t: 1, cervical: 0, thoracic: 0, lumbar: 0 }
+        ]
+    },
+    thoracicRotation: {
+        label: 'Thoracic rotation',
+        axis: 'rotation',
+        anchor: 'sacrum',
+        duration: 6000,
+        // The head turns with the ribcage, so the neck adds almost nothing
+        keyframes: [
+            { t: 0, cervical: 0, thoracic: 0, lumbar: 0 },
+            { t: 0.25, cervical: 0.05, thoracic: 0.9, lumbar: 0.3 },
+            { t: 0.5, cervical: 0, thoracic: 0, lumbar: 0 },
+            { t: 0.75, cervical: -0.05, thoracic: -0.9, lumbar: -0.3 },
+            { t: 1, cervical: 0, thoracic: 0, lumbar: 0 }
+        ]
+    }
+};
+
+// Regional values at progress t, eased between the surrounding keyframes
+function sampleMovementKeyframes(keyframes, t) {
+    const next = keyframes.findIndex(k => k.t >= t);
+    if (next <= 0) return keyframes[Math.max(next, 0)];
+    const a = keyframes[next - 1];
+    const b = keyframes[next];
+    const local = (t - a.t) / (b.t - a.t);
+    const eased = local * local * (3 - 2 * local);
+    
+    const pose = {};
+    for (const region of ['cervical', 'thoracic', 'lumbar']) {
+        pose[region] = a[region] + (b[region] - a[region]) * eased;
+    }
+    return pose;
+}
+
 class SpineModel {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
@@ -20,6 +203,29 @@ class SpineModel {
         
         // Hover state
         this.hoveredRegion = null;
+        this.highlightedRegion = null;
+        this.hoveredVertebra = null;
+        this.selectedVertebra = null;
+        this.focusedRegion = null; // Region reached with Tab / Shift-Tab
+        
+        // Camera zoom and pan, damped like the rotation. zoom divides the camera distance.
+        this.targetView = { zoom: 1, x: 0, y: 0 };
+        this.currentView = { zoom: 1, x: 0, y: 0 };
+        this.zoomLimits = { min: 0.8, max: 4 };
+        this.viewRegion = null; // Region zoomed to by double-click / double-tap
+        this.pinch = null;
+        this.touchStartPoint = null;
+        this.lastTap = null;
+        
+        // Posture preset and its animation between segment offsets
+        this.posture = { preset: 'neutral', amount: 0 };
+        this.postureOffsets = null;
+        this.postureTween = null;
+        
+        // Movement from SPINE_MOVEMENTS: { name, progress, playing, loop }
+        this.movement = null;
+        this.movementOffsets = null;
+        this.lastMovementFrame = 0;
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         
@@ -67,8 +273,12 @@ class SpineModel {
             }
         };
         
+        // Every vertebra, plus each disc keyed 'upper-lower' (e.g. 'L4-L5')
+        this.vertebrae = { ...SPINE_VERTEBRAE };
+        
         this.regionMeshes = [];
         this.vertebraeMeshes = [];
+        this.segmentGroups = {}; // Vertebra/disc id -> group, for picking and highlighting
         this.init();
     }
     
@@ -89,6 +299,7 @@ class SpineModel {
         this.camera = new THREE.PerspectiveCamera(40, this.width / this.height, 0.1, 1000);
         this.camera.position.z = 18;
         this.camera.position.y = 0;
+        this.cameraDistance = this.camera.position.z;
         
         // Renderer with better quality
         this.renderer = new THREE.WebGLRenderer({ 
@@ -175,6 +386,7 @@ class SpineModel {
         const { 
             scale = 1, 
             regionKey, 
+            vertebraId,
             isCervical = false, 
             isThoracic = false,
             isLumbar = false,
@@ -368,12 +580,23 @@ class SpineModel {
         
         // Store for highlighting
         this.vertebraeMeshes.push(group);
+        this.registerSegment(group, vertebraId, regionKey);
         
         return group;
     }
     
+    // Tag every mesh of a vertebra/disc so a ray hit on any part identifies it
+    registerSegment(group, id, regionKey) {
+        group.userData.vertebraId = id;
+        group.traverse((child) => {
+            child.userData.region = regionKey;
+            child.userData.vertebraId = id;
+        });
+        this.segmentGroups[id] = group;
+    }
+    
     // Create intervertebral disc
-    createDetailedDisc(scale, curveOffset = 0) {
+    createDetailedDisc(scale, curveOffset = 0, discId = null) {
         const group = new THREE.Group();
         
         // Annulus fibrosus (outer ring)
@@ -404,6 +627,12 @@ class SpineModel {
         nucleus.position.z = curveOffset;
         group.add(nucleus);
         
+        if (discId) {
+            const [upper, lower] = discId.split('-');
+            this.vertebrae[discId] = spineDiscData(upper, lower);
+            this.registerSegment(group, discId, this.vertebrae[discId].region);
+        }
+        
         return group;
     }
     
@@ -493,6 +722,7 @@ class SpineModel {
             group.add(crest);
         }
         
+        this.registerSegment(group, 'sacrum', 'sacral');
         return group;
     }
     
@@ -516,9 +746,246 @@ class SpineModel {
             y -= size * 1.3;
         }
         
+        this.registerSegment(group, 'coccyx', 'sacral');
         return group;
     }
     
+    // === POSTURE ===
+    
+    // Animate to a preset from SPINE_POSTURES; amount 0-1 scales it.
+    // Resolves once the transition has finished.
+    setPosture(preset, amount = 1, { duration = 1200 } = {}) {
+        if (!SPINE_POSTURES[preset]) {
+            console.warn(`SpineModel: unknown posture "${preset}"`);
+            return Promise.resolve();
+        }
+        amount = Math.max(0, Math.min(1, amount));
+        this.captureRestTransforms();
+        
+        if (this.postureTween) this.postureTween.resolve();
+        this.posture = { preset, amount };
+        
+        const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        return new Promise((resolve) => {
+            this.postureTween = {
+                from: this.postureOffsets.map(o => ({ ...o })),
+                to: this.computePostureOffsets(preset, amount),
+                start: performance.now(),
+                duration: reduceMotion ? 0 : duration,
+                resolve
+            };
+            this.updatePosture(performance.now());
+        });
+    }
+    
+    // Offsets for every segment (top to bottom) under a preset, with each
+    // segment tilted to follow the new curve through its neighbours
+    computePostureOffsets(preset, amount) {
+        const shape = SPINE_POSTURES[preset].shape;
+        const groups = Object.values(this.segmentGroups);
+        
+        const offsets = groups.map((group) => {
+            const region = group.userData.region;
+            // Rest height: during a movement position.y carries its offset too
+            const o = shape(region, this.regionProgress(region, group.userData.rest.y));
+            return { x: (o.x || 0) * amount, z: (o.z || 0) * amount, ry: (o.ry || 0) * amount };
+        });
+        
+        return offsets.map((o, i) => {
+            const above = Math.max(i - 1, 0);
+            const below = Math.min(i + 1, offsets.length - 1);
+            const rise = groups[above].userData.rest.y - groups[below].userData.rest.y || 1;
+            return {
+                ...o,
+                rx: Math.atan2(offsets[above].z - offsets[below].z, rise),
+                rz: Math.atan2(offsets[below].x - offsets[above].x, rise)
+            };
+        });
+    }
+    
+    // 0 at the top of a region's hitbox, 1 at the bottom
+    regionProgress(regionKey, y) {
+        const indicator = this.regionMeshes.find(m => m.userData.region === regionKey);
+        const height = indicator.geometry.parameters.height;
+        const top = indicator.position.y + height / 2;
+        return Math.max(0, Math.min(1, (top - y) / height));
+    }
+    
+    updatePosture(now) {
+        const tween = this.postureTween;
+        if (!tween) return;
+        
+        const progress = tween.duration > 0 ? Math.min((now - tween.start) / tween.duration, 1) : 1;
+        const eased = progress < 0.5 ? 4 * progress * progress * progress : 1 - Math.pow(-2 * progress + 2, 3) / 2;
+        
+        this.postureOffsets = tween.from.map((from, i) => {
+            const to = tween.to[i];
+            const o = {};
+            for (const key in from) o[key] = from[key] + (to[key] - from[key]) * eased;
+            return o;
+        });
+        this.applySegmentTransforms();
+        
+        if (progress >= 1) {
+            this.postureTween = null;
+            tween.resolve();
+        }
+    }
+    
+    // Posture and movement are layered as offsets on each segment's built transform
+    captureRestTransforms() {
+        if (this.postureOffsets) return;
+        
+        const groups = Object.values(this.segmentGroups);
+        groups.forEach((group) => {
+            group.userData.rest = {
+                x: group.position.x,
+                y: group.position.y,
+                z: group.position.z,
+                rx: group.rotation.x,
+                ry: group.rotation.y,
+                rz: group.rotation.z
+            };
+        });
+        this.postureOffsets = groups.map(() => ({ x: 0, z: 0, rx: 0, ry: 0, rz: 0 }));
+        this.movementOffsets = groups.map(() => ({ y: 0, z: 0, rx: 0, ry: 0 }));
+    }
+    
+    applySegmentTransforms() {
+        Object.values(this.segmentGroups).forEach((group, i) => {
+            const rest = group.userData.rest;
+            const o = this.postureOffsets[i];
+            const m = this.movementOffsets[i];
+            group.position.set(rest.x + o.x, rest.y + m.y, rest.z + o.z + m.z);
+            group.rotation.set(rest.rx + o.rx + m.rx, rest.ry + o.ry + m.ry, rest.rz + o.rz);
+        });
+    }
+    
+    // === MOVEMENT ===
+    
+    // Start a movement from SPINE_MOVEMENTS, or resume the current one when
+    // called without a name. Progress is reported by spineMovementProgress events.
+    playMovement(name, { loop = true } = {}) {
+        if (name && !SPINE_MOVEMENTS[name]) {
+            console.warn(`SpineModel: unknown movement "${name}"`);
+            return;
+        }
+        this.captureRestTransforms();
+        
+        if (name && (!this.movement || this.movement.name !== name)) {
+            this.movement = { name, progress: 0, playing: true, loop };
+        } else if (this.movement) {
+            this.movement.playing = true;
+            this.movement.loop = loop;
+            if (this.movement.progress >= 1) this.movement.progress = 0;
+        }
+        this.lastMovementFrame = performance.now();
+    }
+    
+    pauseMovement() {
+        if (!this.movement || !this.movement.playing) return;
+        this.movement.playing = false;
+        this.emitMovementProgress();
+    }
+    
+    // Scrub to a point in the current movement, 0-1; playback state is kept
+    seekMovement(progress) {
+        if (!this.movement) return;
+        this.movement.progress = Math.max(0, Math.min(1, progress));
+        this.applyMovement();
+        this.emitMovementProgress();
+    }
+    
+    // End the movement and return the spine to its posture
+    stopMovement() {
+        if (!this.movement) return;
+        this.movement = null;
+        this.movementOffsets = this.movementOffsets.map(() => ({ y: 0, z: 0, rx: 0, ry: 0 }));
+        this.applySegmentTransforms();
+    }
+    
+    updateMovement(now) {
+        const movement = this.movement;
+        if (!movement || !movement.playing) return;
+        
+        const elapsed = now - this.lastMovementFrame;
+        this.lastMovementFrame = now;
+        movement.progress += elapsed / SPINE_MOVEMENTS[movement.name].duration;
+        
+        if (movement.progress >= 1) {
+            if (movement.loop) {
+                movement.progress %= 1;
+            } else {
+                movement.progress = 1;
+                movement.playing = false;
+            }
+        }
+        
+        this.applyMovement();
+        this.emitMovementProgress();
+    }
+    
+    emitMovementProgress() {
+        const { name, progress, playing } = this.movement;
+        this.container.dispatchEvent(new CustomEvent('spineMovementProgress', {
+            detail: { movement: name, progress, playing }
+        }));
+    }
+    
+    // Pose every segment for the current progress. Each motion segment turns
+    // by its share of the regional keyframe value; the turns accumulate
+    // outward from the movement's anchor, so the chain bends as a whole.
+    applyMovement() {
+        const movement = SPINE_MOVEMENTS[this.movement.name];
+        const pose = sampleMovementKeyframes(movement.keyframes, this.movement.progress);
+        const range = SPINE_SEGMENT_RANGE[movement.axis];
+        const groups = Object.values(this.segmentGroups);
+        const ids = Object.keys(this.segmentGroups);
+        
+        // Turn at each junction between segment i and the one below it. A
+        // level's range is shared by the links from a vertebra to the next.
+        const junctions = ids.slice(0, -1).map((id, i) => {
+            const owner = this.vertebrae[id].isDisc ? ids[i - 1] : id;
+            const links = this.vertebrae[ids[ids.indexOf(owner) + 1]].isDisc ? 2 : 1;
+            const value = pose[this.vertebrae[owner].region] || 0;
+            return THREE.MathUtils.degToRad(range[owner] || 0) / 2 * value / links;
+        });
+        
+        const anchor = ids.indexOf(movement.anchor);
+        const angles = new Array(ids.length).fill(0);
+        const positions = groups.map(g => ({ y: g.userData.rest.y, z: 0 }));
+        
+        for (let i = anchor - 1; i >= 0; i--) {
+            angles[i] = angles[i + 1] + junctions[i];
+            const rise = groups[i].userData.rest.y - groups[i + 1].userData.rest.y;
+            positions[i] = {
+                y: positions[i + 1].y + rise * Math.cos(angles[i]),
+                z: positions[i + 1].z + rise * Math.sin(angles[i])
+            };
+        }
+        for (let i = anchor + 1; i < ids.length; i++) {
+            angles[i] = angles[i - 1] - junctions[i - 1];
+            const rise = groups[i - 1].userData.rest.y - groups[i].userData.rest.y;
+            positions[i] = {
+                y: positions[i - 1].y - rise * Math.cos(angles[i]),
+                z: positions[i - 1].z - rise * Math.sin(angles[i])
+            };
+        }
+        
+        this.movementOffsets = groups.map((group, i) => {
+            if (movement.axis === 'rotation') {
+                return { y: 0, z: 0, rx: 0, ry: angles[i] };
+            }
+            return {
+                y: positions[i].y - group.userData.rest.y,
+                z: positions[i].z,
+                rx: angles[i],
+                ry: 0
+            };
+        });
+        this.applySegmentTransforms();
+    }
+    
     createRegionIndicator(yStart, yEnd, regionKey) {
         const region = this.regions[regionKey];
         const height = Math.abs(yEnd - yStart);
@@ -564,6 +1031,7 @@ class SpineModel {
             const vertebra = this.createDetailedVertebra({
                 scale,
                 regionKey: 'cervical',
+                vertebraId: `C${i + 1}`,
                 isCervical: true,
                 curveOffset
             });
@@ -571,7 +1039,7 @@ class SpineModel {
             this.spineGroup.add(vertebra);
             
             if (i < 6) {
-                const disc = this.createDetailedDisc(scale * 0.95, curveOffset);
+                const disc = this.createDetailedDisc(scale * 0.95, curveOffset, `C${i + 1}-C${i + 2}`);
                 disc.position.y = currentY - vertebraSpacing / 2;
                 this.spineGroup.add(disc);
             }
@@ -589,6 +1057,7 @@ class SpineModel {
             const vertebra = this.createDetailedVertebra({
                 scale,
                 regionKey: 'thoracic',
+                vertebraId: `T${i + 1}`,
                 isThoracic: true,
                 curveOffset
             });
@@ -596,7 +1065,7 @@ class SpineModel {
             this.spineGroup.add(vertebra);
             
             if (i < 11) {
-                const disc = this.createDetailedDisc(scale * 0.95, curveOffset);
+                const disc = this.createDetailedDisc(scale * 0.95, curveOffset, `T${i + 1}-T${i + 2}`);
                 disc.position.y = currentY - vertebraSpacing / 2;
                 this.spineGroup.add(disc);
             }
@@ -614,6 +1083,7 @@ class SpineModel {
             const vertebra = this.createDetailedVertebra({
                 scale,
                 regionKey: 'lumbar',
+                vertebraId: `L${i + 1}`,
                 isLumbar: true,
                 curveOffset
             });
@@ -621,7 +1091,7 @@ class SpineModel {
             this.spineGroup.add(vertebra);
             
             if (i < 4) {
-                const disc = this.createDetailedDisc(scale * 0.95, curveOffset);
+                const disc = this.createDetailedDisc(scale * 0.95, curveOffset, `L${i + 1}-L${i + 2}`);
                 disc.position.y = currentY - vertebraSpacing / 2;
                 this.spineGroup.add(disc);
             }
@@ -651,6 +1121,9 @@ class SpineModel {
         this.regionMeshes.push(cervicalIndicator, thoracicIndicator, lumbarIndicator, sacralIndicator);
         this.regionMeshes.forEach(m => this.spineGroup.add(m));
         
+        // Pan limits
+        this.spineBounds = new THREE.Box3().setFromObject(this.spineGroup);
+        
         // Initial rotation for optimal view
         this.spineGroup.rotation.x = 0.15;
         this.spineGroup.rotation.y = -0.4;
@@ -665,11 +1138,115 @@ class SpineModel {
         canvas.addEventListener('mouseleave', () => this.onPointerUp());
         
         canvas.addEventListener('touchstart', (e) => this.onTouchStart(e), { passive: true });
-        canvas.addEventListener('touchmove', (e) => this.onTouchMove(e), { passive: true });
-        canvas.addEventListener('touchend', () => this.onPointerUp());
+        // Not passive: a two-finger gesture must not pinch-zoom the page
+        canvas.addEventListener('touchmove', (e) => this.onTouchMove(e), { passive: false });
+        canvas.addEventListener('touchend', (e) => this.onTouchEnd(e));
         
+        canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
         canvas.addEventListener('click', (e) => this.onClick(e));
+        canvas.addEventListener('dblclick', (e) => this.focusAt(e));
         canvas.style.cursor = 'grab';
+        
+        this.setupKeyboard();
+    }
+    
+    // Focusable canvas: arrows rotate, Tab / Shift-Tab step through the
+    // regions (then let focus leave), Enter fires spineRegionClick
+    setupKeyboard() {
+        const canvas = this.renderer.domElement;
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'application');
+        canvas.setAttribute('aria-roledescription', '3D spine model');
+        canvas.setAttribute('aria-label', 'Interactive spine. Arrow keys rotate, plus and minus zoom, 0 resets the view, Tab moves between regions, Enter selects.');
+        
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'sr-only';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.container.appendChild(this.liveRegion);
+        
+        canvas.addEventListener('keydown', (e) => this.onKeyDown(e));
+        canvas.addEventListener('blur', () => this.focusRegion(null));
+    }
+    
+    onKeyDown(e) {
+        const keys = Object.keys(this.regions);
+        
+        switch (e.key) {
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                this.targetRotation.y += e.key === 'ArrowLeft' ? -0.15 : 0.15;
+                break;
+            case 'ArrowUp':
+            case 'ArrowDown':
+                this.targetRotation.x += e.key === 'ArrowUp' ? -0.1 : 0.1;
+                this.targetRotation.x = Math.max(-0.6, Math.min(0.6, this.targetRotation.x));
+                break;
+            case 'Tab': {
+                const index = keys.indexOf(this.focusedRegion);
+                let next;
+                if (index === -1) {
+                    next = e.shiftKey ? keys.length - 1 : 0;
+                } else {
+                    next = index + (e.shiftKey ? -1 : 1);
+                }
+                // Past either end: clear and let the browser move focus on
+                if (next < 0 || next >= keys.length) {
+                    this.focusRegion(null);
+                    return;
+                }
+                this.focusRegion(keys[next]);
+                break;
+            }
+            case 'Enter':
+                if (!this.focusedRegion) return;
+                this.dispatchRegionClick(this.focusedRegion);
+                break;
+            case 'Escape':
+                if (!this.focusedRegion) return;
+                this.focusRegion(null);
+                break;
+            case '+':
+            case '=':
+            case '-':
+                this.setView(this.targetView.zoom * (e.key === '-' ? 0.8 : 1.25), this.targetView.x, this.targetView.y);
+                break;
+            case '0':
+                this.resetView();
+                break;
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+        if (e.key.startsWith('Arrow')) {
+            this.autoRotate = false;
+            this.resumeAutoRotate();
+        }
+    }
+    
+    // Keyboard equivalent of hovering a region; null clears it
+    focusRegion(regionKey) {
+        if (regionKey === this.focusedRegion) return;
+        this.focusedRegion = regionKey;
+        
+        if (regionKey) {
+            const region = this.regions[regionKey];
+            this.highlightRegion(regionKey);
+            this.showTooltip(regionKey);
+            this.liveRegion.textContent = `${region.name}, ${region.count}. ${region.description}`;
+        } else {
+            this.unhighlightRegion();
+            this.hideTooltip();
+            this.liveRegion.textContent = '';
+        }
+    }
+    
+    resumeAutoRotate() {
+        clearTimeout(this.autoRotateTimeout);
+        this.autoRotateTimeout = setTimeout(() => {
+            if (!this.isDragging) this.autoRotate = true;
+        }, 3000);
     }
     
     onPointerDown(e) {
@@ -698,10 +1275,7 @@ class SpineModel {
     onPointerUp() {
         this.isDragging = false;
         this.renderer.domElement.style.cursor = 'grab';
-        
-        setTimeout(() => {
-            if (!this.isDragging) this.autoRotate = true;
-        }, 3000);
+        this.resumeAutoRotate();
     }
     
     onTouchStart(e) {
@@ -712,10 +1286,47 @@ class SpineModel {
                 x: e.touches[0].clientX, 
                 y: e.touches[0].clientY 
             };
+            this.touchStartPoint = { ...this.previousMousePosition, time: performance.now() };
+        } else if (e.touches.length === 2) {
+            this.isDragging = false;
+            this.autoRotate = false;
+            this.pinch = {
+                ...this.touchGesture(e.touches),
+                zoom: this.targetView.zoom,
+                x: this.targetView.x,
+                y: this.targetView.y
+            };
         }
     }
     
+    // Finger spread and midpoint of a two-finger touch
+    touchGesture(touches) {
+        const a = touches[0];
+        const b = touches[1];
+        return {
+            distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+            midX: (a.clientX + b.clientX) / 2,
+            midY: (a.clientY + b.clientY) / 2
+        };
+    }
+    
     onTouchMove(e) {
+        if (this.pinch && e.touches.length === 2) {
+            e.preventDefault();
+            const gesture = this.touchGesture(e.touches);
+            const zoom = this.pinch.zoom * gesture.distance / Math.max(this.pinch.distance, 1);
+            this.setView(zoom, this.pinch.x, this.pinch.y);
+            
+            // Pan so the model follows the fingers' midpoint
+            const perPixel = this.worldPerPixel();
+            this.setView(
+                this.targetView.zoom,
+                this.pinch.x - (gesture.midX - this.pinch.midX) * perPixel,
+                this.pinch.y + (gesture.midY - this.pinch.midY) * perPixel
+            );
+            return;
+        }
+        
         if (!this.isDragging || e.touches.length !== 1) return;
         
         const touch = e.touches[0];
@@ -729,66 +1340,223 @@ class SpineModel {
         this.previousMousePosition = { x: touch.clientX, y: touch.clientY };
     }
     
+    onTouchEnd(e) {
+        if (e.touches.length === 1) {
+            // One finger lifted from a pinch: keep rotating from the other
+            this.pinch = null;
+            this.touchStartPoint = null;
+            this.isDragging = true;
+            this.previousMousePosition = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+            return;
+        }
+        if (e.touches.length > 0) return;
+        
+        if (!this.pinch) this.detectDoubleTap(e);
+        this.pinch = null;
+        this.onPointerUp();
+    }
+    
+    detectDoubleTap(e) {
+        const touch = e.changedTouches[0];
+        const start = this.touchStartPoint;
+        const now = performance.now();
+        this.touchStartPoint = null;
+        
+        // Only short, stationary touches count as taps
+        if (!touch || !start || now - start.time > 300 ||
+            Math.hypot(touch.clientX - start.x, touch.clientY - start.y) > 10) {
+            this.lastTap = null;
+            return;
+        }
+        
+        const last = this.lastTap;
+        if (last && now - last.time < 300 && Math.hypot(touch.clientX - last.x, touch.clientY - last.y) < 30) {
+            this.lastTap = null;
+            e.preventDefault(); // No emulated click / dblclick on top
+            this.focusAt(touch);
+        } else {
+            this.lastTap = { x: touch.clientX, y: touch.clientY, time: now };
+        }
+    }
+    
+    onWheel(e) {
+        const { min, max } = this.zoomLimits;
+        const current = this.targetView.zoom;
+        const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+        const zoom = current * Math.exp(-delta * 0.0015);
+        
+        // Already at a limit: let the page scroll instead
+        if ((zoom < current && current <= min) || (zoom > current && current >= max)) return;
+        
+        e.preventDefault();
+        this.setView(zoom, this.targetView.x, this.targetView.y);
+    }
+    
+    // Set the target camera zoom and pan, clamped to the limits and the model's bounds
+    setView(zoom, x, y) {
+        const { min, max } = this.zoomLimits;
+        const bounds = this.spineBounds;
+        
+        this.targetView.zoom = Math.max(min, Math.min(max, zoom));
+        this.targetView.x = Math.max(bounds.min.x, Math.min(bounds.max.x, x));
+        this.targetView.y = Math.max(bounds.min.y, Math.min(bounds.max.y, y));
+    }
+    
+    // World units per screen pixel at the target zoom
+    worldPerPixel() {
+        const distance = this.cameraDistance / this.targetView.zoom;
+        return 2 * distance * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2)) / this.height;
+    }
+    
+    // Double-click / double-tap: zoom to the region under the point, or back
+    // out when it is already the focused one
+    focusAt(e) {
+        this.updateMouse(e);
+        const vertebraId = this.pickVertebra();
+        const region = vertebraId ? this.vertebrae[vertebraId].region : this.pickRegion();
+        
+        if (!region || region === this.viewRegion) {
+            this.resetView();
+        } else {
+            this.focusView(region);
+        }
+    }
+    
+    // Zoom and pan so a region fills most of the view
+    focusView(regionKey) {
+        const indicator = this.regionMeshes.find(m => m.userData.region === regionKey);
+        if (!indicator) return;
+        
+        indicator.updateWorldMatrix(true, false);
+        const center = indicator.getWorldPosition(new THREE.Vector3());
+        const viewHeight = 2 * this.cameraDistance * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        
+        this.viewRegion = regionKey;
+        this.setView(viewHeight / (indicator.geometry.parameters.height * 1.6), center.x, center.y);
+    }
+    
+    // Back to the initial framing; rotation unwinds to the nearest full turn
+    resetView() {
+        const turn = Math.PI * 2;
+        this.viewRegion = null;
+        this.setView(1, 0, 0);
+        this.targetRotation.x = 0;
+        this.targetRotation.y = Math.round(this.targetRotation.y / turn) * turn;
+    }
+    
     updateMouse(e) {
         const rect = this.renderer.domElement.getBoundingClientRect();
         this.mouse.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
         this.mouse.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
     }
     
-    checkHover() {
+    // Vertebra or disc under the pointer, or null. Vertebrae are picked
+    // before the region hitboxes, which would otherwise swallow the ray.
+    pickVertebra() {
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const intersects = this.raycaster.intersectObjects(Object.values(this.segmentGroups), true);
+        return intersects.length > 0 ? intersects[0].object.userData.vertebraId : null;
+    }
+    
+    pickRegion() {
         this.raycaster.setFromCamera(this.mouse, this.camera);
         const intersects = this.raycaster.intersectObjects(this.regionMeshes);
-        
-        if (intersects.length > 0) {
-            const region = intersects[0].object.userData.region;
-            if (this.hoveredRegion !== region) {
-                this.hoveredRegion = region;
-                this.highlightRegion(region);
+        return intersects.length > 0 ? intersects[0].object.userData.region : null;
+    }
+    
+    checkHover() {
+        const vertebraId = this.pickVertebra();
+        const region = vertebraId ? this.vertebrae[vertebraId].region : this.pickRegion();
+        
+        if (vertebraId === this.hoveredVertebra && region === this.hoveredRegion) return;
+        this.hoveredVertebra = vertebraId;
+        this.hoveredRegion = region;
+        
+        if (region) {
+            this.highlightRegion(region);
+            if (vertebraId) {
+                this.showVertebraTooltip(vertebraId);
+            } else {
                 this.showTooltip(region);
-                this.renderer.domElement.style.cursor = 'pointer';
             }
+            this.renderer.domElement.style.cursor = 'pointer';
         } else {
-            if (this.hoveredRegion) {
-                this.unhighlightRegion();
-                this.hideTooltip();
-                this.hoveredRegion = null;
-                this.renderer.domElement.style.cursor = this.isDragging ? 'grabbing' : 'grab';
-            }
+            this.unhighlightRegion();
+            this.hideTooltip();
+            this.renderer.domElement.style.cursor = this.isDragging ? 'grabbing' : 'grab';
         }
     }
     
     highlightRegion(regionKey) {
-        const region = this.regions[regionKey];
-        
-        this.spineGroup.traverse((child) => {
-            if (child.isMesh && child.userData.region === regionKey && !child.userData.isIndicator) {
-                if (child.material) {
-                    child.userData.originalColor = child.material.color.getHex();
-                    child.userData.originalEmissive = child.material.emissive ? child.material.emissive.getHex() : 0;
-                    child.material.color.setHex(region.color);
-                    if (child.material.emissive) {
-                        child.material.emissive.setHex(region.color);
-                        child.material.emissiveIntensity = 0.2;
-                    }
-                }
-            }
-        });
+        this.highlightedRegion = regionKey;
+        this.applyHighlights();
     }
     
     unhighlightRegion() {
+        this.highlightedRegion = null;
+        this.hoveredVertebra = null;
+        this.applyHighlights();
+    }
+    
+    // Recolor every mesh from the current state: selected vertebra, then
+    // hovered vertebra, then highlighted region, otherwise its own color
+    applyHighlights() {
         this.spineGroup.traverse((child) => {
-            if (child.isMesh && child.userData.originalColor !== undefined) {
-                child.material.color.setHex(child.userData.originalColor);
-                if (child.material.emissive) {
-                    child.material.emissive.setHex(child.userData.originalEmissive || 0);
-                    child.material.emissiveIntensity = 0;
+            if (!child.isMesh || child.userData.isIndicator || !child.material) return;
+            const { region, vertebraId } = child.userData;
+            if (!region) return;
+            
+            // A vertebra's meshes share materials, so keep the original colors
+            // on the material: a mesh seen after the first one was tinted
+            // would otherwise record the highlight as its own color
+            const material = child.material;
+            if (material.userData.originalColor === undefined) {
+                material.userData.originalColor = material.color.getHex();
+                material.userData.originalEmissive = material.emissive ? material.emissive.getHex() : 0;
+            }
+            
+            let intensity = 0;
+            if (vertebraId && vertebraId === this.selectedVertebra) {
+                intensity = 0.45;
+            } else if (vertebraId && vertebraId === this.hoveredVertebra) {
+                intensity = 0.3;
+            } else if (region === this.highlightedRegion) {
+                intensity = 0.15;
+            }
+            
+            if (intensity > 0) {
+                const color = this.regions[region].color;
+                material.color.setHex(color);
+                if (material.emissive) {
+                    material.emissive.setHex(color);
+                    material.emissiveIntensity = intensity;
+                }
+            } else {
+                material.color.setHex(material.userData.originalColor);
+                if (material.emissive) {
+                    material.emissive.setHex(material.userData.originalEmissive || 0);
+                    material.emissiveIntensity = 0;
                 }
             }
         });
     }
     
-    showTooltip(regionKey) {
-        const region = this.regions[regionKey];
+    // Select a vertebra or disc by id ('L4', 'L4-L5', 'sacrum'), or clear with null
+    selectVertebra(id) {
+        if (id !== null && !this.vertebrae[id]) {
+            console.warn(`SpineModel: unknown vertebra "${id}"`);
+            return;
+        }
+        this.selectedVertebra = id;
+        this.applyHighlights();
+        if (id) {
+            this.showVertebraTooltip(id);
+        } else {
+            this.hideTooltip();
+        }
+    }
+    
+    renderTooltip({ title, subtitle, description, conditions }) {
         let tooltip = document.getElementById('spine-tooltip');
         
         if (!tooltip) {
@@ -799,39 +1567,77 @@ class SpineModel {
         }
         
         tooltip.innerHTML = `
-            <div class="tooltip-title">${region.name}</div>
-            <div class="tooltip-vertebrae">${region.count} • ${region.vertebrae}</div>
-            <div class="tooltip-desc">${region.description}</div>
+            <div class="tooltip-title">${title}</div>
+            <div class="tooltip-vertebrae">${subtitle}</div>
+            <div class="tooltip-desc">${description}</div>
             <div class="tooltip-conditions">
                 <strong>Common Conditions</strong>
-                ${region.conditions}
+                ${conditions}
             </div>
         `;
         tooltip.classList.add('visible');
     }
     
+    showTooltip(regionKey) {
+        const region = this.regions[regionKey];
+        this.renderTooltip({
+            title: region.name,
+            subtitle: `${region.count} • ${region.vertebrae}`,
+            description: region.description,
+            conditions: region.conditions
+        });
+    }
+    
+    showVertebraTooltip(id) {
+        const vertebra = this.vertebrae[id];
+        this.renderTooltip({
+            title: vertebra.label,
+            subtitle: `${this.regions[vertebra.region].name} • Nerve root ${vertebra.nerveRoot}`,
+            description: `<strong>Dermatome:</strong> ${vertebra.dermatome}<br><strong>Myotome:</strong> ${vertebra.myotome}`,
+            conditions: vertebra.conditions
+        });
+    }
+    
     hideTooltip() {
         const tooltip = document.getElementById('spine-tooltip');
         if (tooltip) tooltip.classList.remove('visible');
     }
     
     onClick(e) {
+        // The second click of a double-click belongs to the dblclick zoom;
+        // the first one already selected
+        if (e.detail > 1) return;
         this.updateMouse(e);
-        this.raycaster.setFromCamera(this.mouse, this.camera);
-        const intersects = this.raycaster.intersectObjects(this.regionMeshes);
+        const vertebraId = this.pickVertebra();
+        const region = vertebraId ? this.vertebrae[vertebraId].region : this.pickRegion();
         
-        if (intersects.length > 0) {
-            const region = intersects[0].object.userData.region;
-            const event = new CustomEvent('spineRegionClick', { 
-                detail: { key: region, ...this.regions[region] } 
-            });
-            this.container.dispatchEvent(event);
+        if (region) {
+            if (vertebraId) this.selectVertebra(vertebraId);
+            this.dispatchRegionClick(region, vertebraId);
         }
     }
     
+    // detail: region data plus vertebraId ('L4', 'L4-L5', ... or null when
+    // only the region was hit) and that vertebra's data
+    dispatchRegionClick(region, vertebraId = null) {
+        const event = new CustomEvent('spineRegionClick', { 
+            detail: {
+                key: region,
+                ...this.regions[region],
+                vertebraId,
+                vertebra: vertebraId ? { id: vertebraId, ...this.vertebrae[vertebraId] } : null
+            } 
+        });
+        this.container.dispatchEvent(event);
+    }
+    
     animate() {
         requestAnimationFrame(() => this.animate());
         
+        const now = performance.now();
+        this.updatePosture(now);
+        this.updateMovement(now);
+        
         if (this.autoRotate) {
             this.targetRotation.y += 0.002;
         }
@@ -842,6 +1648,12 @@ class SpineModel {
         this.spineGroup.rotation.x = 0.15 + this.currentRotation.x;
         this.spineGroup.rotation.y = this.currentRotation.y;
         
+        const view = this.currentView;
+        view.zoom += (this.targetView.zoom - view.zoom) * 0.06;
+        view.x += (this.targetView.x - view.x) * 0.06;
+        view.y += (this.targetView.y - view.y) * 0.06;
+        this.camera.position.set(view.x, view.y, this.cameraDistance / view.zoom);
+        
         this.renderer.render(this.scene, this.camera);
     }
     
@@ -859,6 +1671,8 @@ class SpineModel {
     }
     
     destroy() {
+        clearTimeout(this.autoRotateTimeout);
+        if (this.liveRegion) this.liveRegion.remove();
         if (this.renderer) {
             this.renderer.dispose();
             this.container.removeChild(this.renderer.domElement);
@@ -866,10 +1680,33 @@ class SpineModel {
     }
 }
 
+// Wire [data-spine-posture] buttons and the #spine-posture-amount slider
+function bindPostureControls(model) {
+    const buttons = document.querySelectorAll('[data-spine-posture]');
+    const slider = document.getElementById('spine-posture-amount');
+    if (!buttons.length) return;
+    
+    let preset = 'neutral';
+    const amount = () => (slider ? slider.value / 100 : 1);
+    
+    buttons.forEach((button) => {
+        button.addEventListener('click', () => {
+            preset = button.dataset.spinePosture;
+            buttons.forEach(b => b.setAttribute('aria-pressed', String(b === button)));
+            model.setPosture(preset, amount());
+        });
+    });
+    
+    if (slider) {
+        slider.addEventListener('input', () => model.setPosture(preset, amount(), { duration: 200 }));
+    }
+}
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     const spineContainer = document.getElementById('spine-model');
     if (spineContainer) {
         window.spineModel = new SpineModel('spine-model');
+        bindPostureControls(window.spineModel);
     }
 });
@@ -0,0 +1,94 @@
+/* consent-receipt-stub.js (Pétros Biokinetics) */
+// Local stand-in for a consent receipt endpoint. Serves the site from the
+// repo root with window.PETROS_CONSENT_ENDPOINT pointed at /consent-receipt,
+// and prints every receipt it receives.
+//
+//   node tools/consent-receipt-stub.js [port]
+//
+// Not deployed: /tools/ is blocked in .htaccess.
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.argv[2]) || 8080;
+const ENDPOINT = '/consent-receipt';
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml'
+};
+
+const INJECT = `<script>window.PETROS_CONSENT_ENDPOINT = '${ENDPOINT}';</script>`;
+
+function receive(req, res) {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    try {
+      console.log('[receipt]', JSON.stringify(JSON.parse(body), null, 2));
+      res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+    } catch (e) {
+      console.warn('[receipt] invalid JSON:', body);
+      res.writeHead(400, { 'Access-Control-Allow-Origin': '*' });
+    }
+    res.end();
+  });
+}
+
+function serve(req, res) {
+  let urlPath;
+  try {
+    urlPath = decodeURIComponent(req.url.split('?')[0]);
+  } catch (e) {
+    res.writeHead(400);
+    res.end('Bad request');
+    return;
+  }
+  let file = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+  if (!file.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+  if (!path.extname(file) && fs.existsSync(file + '.html')) file += '.html';
+
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    const ext = path.extname(file);
+    if (ext === '.html') {
+      // Set the endpoint before any page script runs
+      data = data.toString('utf8').replace('<head>', '<head>\n' + INJECT);
+    }
+    res.writeHead(200, { 'Content-Type': TYPES[ext] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+http.createServer((req, res) => {
+  if (req.url.split('?')[0] === ENDPOINT) {
+    if (req.method === 'POST') return receive(req, res);
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    return res.end();
+  }
+  serve(req, res);
+}).listen(PORT, () => {
+  console.log(`Site on http://localhost:${PORT}, receipts POSTed to ${ENDPOINT} are printed here`);
+});